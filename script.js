@@ -29,20 +29,98 @@ const pad = (x, n) => x.toString(2).padStart(n, '0');
 /**
  * 2つの整数のハミング距離を計算
  * ハミング距離 = 異なるビット位置の数
- * @param {number} a - 第1の整数
- * @param {number} b - 第2の整数
+ * 32ビットを超える値はBigIntで渡す（両方とも同じ型であること）
+ * @param {number|bigint} a - 第1の整数
+ * @param {number|bigint} b - 第2の整数
  * @returns {number} ハミング距離
  */
 const hdist = (a, b) => {
   let x = a ^ b; // XORで異なるビットを抽出
+  const one = typeof x === 'bigint' ? 1n : 1;
   let c = 0;     // カウンタ
   while (x) {
-    x &= x - 1;  // Brian Kernighanのアルゴリズム（最下位の1ビットを削除）
+    x &= x - one;  // Brian Kernighanのアルゴリズム（最下位の1ビットを削除）
     c++;
   }
   return c;
 };
 
+/**
+ * シード指定可能な擬似乱数生成器（mulberry32）
+ * 同じシードからは同じ乱数列が得られるため、シミュレーション結果を再現できる
+ * @param {number} seed - 32ビット整数のシード
+ * @returns {function(): number} [0, 1) の乱数を返す関数
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 標準正規分布に従う乱数（Box-Muller法）
+ * @param {function(): number} rng - [0, 1) の乱数生成器
+ * @returns {number} 平均0・標準偏差1の乱数
+ */
+function randNormal(rng) {
+  const u = 1 - rng(); // log(0) を避けるため (0, 1] にする
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * テキストをファイルとしてダウンロード
+ * Blob URLを使用し、ダウンロード後に解放する
+ * @param {string} filename - 保存ファイル名
+ * @param {string} content - ファイル内容
+ * @param {string} mime - MIMEタイプ
+ */
+function downloadText(filename, content, mime = 'text/plain') {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * CSVフィールドのエスケープ
+ * カンマ・引用符・改行を含む場合は引用符で囲む
+ * また表計算ソフトでの数式解釈（CSVインジェクション）を防ぐため先頭の = + - @ を無害化
+ * @param {*} value - フィールド値
+ * @returns {string} エスケープ済み文字列
+ */
+function csvEscape(value) {
+  let str = String(value ?? '');
+  if (/^[=+\-@]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * SVG要素の作成
+ * @param {string} tag - 要素名
+ * @param {object} attrs - 属性
+ * @param {string} [text] - テキスト
+ * @returns {SVGElement} 要素
+ */
+function svgEl(tag, attrs, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, String(v)));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
 // ==========================================
 // Gray Code変換アルゴリズム
 // ==========================================
@@ -70,6 +148,399 @@ const grayToBin = (g) => {
   return b;
 };
 
+/**
+ * 任意長ビット幅用: バイナリからグレイコードに変換（BigInt版）
+ * 32ビットを超える値でも正しく計算できる
+ * @param {bigint} b - バイナリ値
+ * @returns {bigint} グレイコード値
+ */
+const binToGrayBig = (b) => (b ^ (b >> 1n));
+
+/**
+ * 任意長ビット幅用: グレイコードからバイナリに変換（BigInt版）
+ * @param {bigint} g - グレイコード値
+ * @returns {bigint} バイナリ値
+ */
+const grayToBinBig = (g) => {
+  let b = 0n;
+  for (; g; g >>= 1n) {
+    b ^= g;
+  }
+  return b;
+};
+
+/**
+ * BigInt値を指定ビット数の2進数文字列に変換（前ゼロ埋め）
+ * @param {bigint} x - 変換する数値
+ * @param {number} n - ビット数
+ * @returns {string} 2進数文字列
+ */
+const padBig = (x, n) => x.toString(2).padStart(n, '0');
+
+/**
+ * ビット列を一定桁ごとに空白で区切る（長いビット列の可読性向上）
+ * 下位ビット側から区切るため、端数は先頭グループに入る
+ * @param {string} bits - ビット文字列
+ * @param {number} size - グループの桁数（デフォルト4）
+ * @returns {string} 区切り済み文字列
+ */
+const groupBits = (bits, size = 4) => {
+  const groups = [];
+  for (let end = bits.length; end > 0; end -= size) {
+    groups.unshift(bits.slice(Math.max(0, end - size), end));
+  }
+  return groups.join(' ');
+};
+
+/**
+ * 任意の偶数周期の循環グレイコード（excess-shift方式）
+ * nビット反射グレイコードの中央の count 個 binToGray(shift)〜binToGray(shift + count - 1) を使う。
+ * 反射コードは中央を境に最上位ビット以外が鏡像になっているため、両端の2つは
+ * 最上位ビットだけが異なり、末尾から先頭へ循環しても1ビット変化が保たれる
+ * @param {number} count - コード数（2以上の偶数）
+ * @returns {{bits: number, shift: number, codes: number[]}} ビット数・シフト量・コード列
+ */
+function cyclicGrayCode(count) {
+  const bits = Math.max(1, Math.ceil(Math.log2(count)));
+  const shift = ((1 << bits) - count) / 2;
+  const codes = Array.from({ length: count }, (_, i) => binToGray(i + shift));
+  return { bits, shift, codes };
+}
+
+/**
+ * コード列の検証（重複の有無と、隣接コード間のハミング距離）
+ * steps[i] は直前のコードとの距離で、循環の場合 steps[0] は末尾→先頭の距離になる
+ * @param {number[]} codes - コード列
+ * @param {boolean} cyclic - 末尾→先頭の遷移も検査するか
+ * @returns {{unique: boolean, steps: Array<number|null>, violations: number[], ok: boolean}}
+ *   violations は1ビット変化になっていない行のインデックス
+ */
+function checkCodeSequence(codes, cyclic = true) {
+  const unique = new Set(codes).size === codes.length;
+  const steps = codes.map((c, i) => {
+    if (i > 0) return hdist(codes[i - 1], c);
+    return cyclic ? hdist(codes[codes.length - 1], c) : null;
+  });
+  const violations = [];
+  steps.forEach((d, i) => {
+    if (d !== null && d !== 1) violations.push(i);
+  });
+  return { unique, steps, violations, ok: unique && violations.length === 0 };
+}
+
+/**
+ * グレイコードの種類（基本タブ・ディスクで選択）
+ * cyclic: 末尾→先頭も1ビット変化になるか
+ */
+const CODE_FAMILIES = {
+  reflected: { label: '反射（BRGC）', name: 'reflected Gray code', cyclic: true },
+  balanced: { label: 'バランスド', name: 'balanced Gray code', cyclic: true },
+  monotone: { label: 'モノトーン', name: 'monotone Gray code', cyclic: false },
+};
+
+/**
+ * バランスド・グレイコードの生成（Bhat–Savage型の n-2 → n ビット帰納構成）
+ * n-2ビットのコード列 G をブロックに分け、下位2ビット（00→01→11→10）と組み合わせて
+ * 各ブロックを3行ぶん往復しながら進み、最後に行00で先頭まで戻る。
+ * ブロック内の遷移は4回、ブロック境界の遷移は2回だけ使われるので、
+ * 境界を置く位置で各ビットの遷移回数を調整でき、すべてのビットの遷移回数の差が2以内になる
+ * @param {number} n - ビット数（1〜12）
+ * @returns {number[]} 長さ 2^n の循環グレイコード列
+ */
+function balancedGrayCode(n) {
+  if (n === 1) return [0, 1];
+  if (n === 2) return [0, 1, 3, 2];
+
+  const G = balancedGrayCode(n - 2);
+  const N = G.length;
+  const m = n - 2;
+  const bitOf = (a, b) => 31 - Math.clz32(a ^ b);
+
+  // G を（循環させずに）たどったときのビットごとの遷移回数
+  const c = new Array(m).fill(0);
+  for (let j = 0; j + 1 < N; j++) c[bitOf(G[j], G[j + 1])]++;
+
+  // 目標遷移回数: 全 4N 回を n ビットに λ または λ+2 回ずつ配分
+  // 追加した下位2ビットはそれぞれ（ブロック数 + 1）回変化する
+  const lambda = 2 * Math.floor((4 * N) / (2 * n));
+  let newCount = lambda;
+  let rest = 4 * N - 2 * newCount - m * lambda;
+  if (rest > 2 * m) {
+    newCount += 2;
+    rest -= 4;
+  }
+  const target = new Array(m).fill(lambda);
+  [...Array(m).keys()]
+    .sort((a, b) => c[b] - c[a])
+    .slice(0, rest / 2)
+    .forEach(i => { target[i] += 2; });
+
+  // ビットiの遷移回数は 4c_i - 2b_i（b_i はビットiの遷移の位置に置くブロック境界の数）
+  const need = target.map((t, i) => (4 * c[i] - t) / 2);
+  const blocks = [];
+  let start = 0;
+  for (let j = 0; j + 1 < N; j++) {
+    const t = bitOf(G[j], G[j + 1]);
+    if (need[t] > 0) {
+      need[t]--;
+      blocks.push([start, j]);
+      start = j + 1;
+    }
+  }
+  blocks.push([start, N - 1]);
+
+  // 往路: 各ブロックを行 01→11→10（次のブロックは逆順）で往復、復路: 行00で先頭へ戻る
+  const H = [0b00, 0b01, 0b11, 0b10];
+  const out = [];
+  blocks.forEach(([a, e], b) => {
+    const rows = b % 2 === 0 ? [1, 2, 3] : [3, 2, 1];
+    rows.forEach((row, i) => {
+      for (let k = 0; k <= e - a; k++) {
+        const j = i % 2 === 0 ? a + k : e - k;
+        out.push((G[j] << 2) | H[row]);
+      }
+    });
+  });
+  for (let j = N - 1; j >= 0; j--) out.push((G[j] << 2) | H[0]);
+
+  // 先頭を 0 にそろえる（復路の最後の要素 G[0]00 を先頭へ）
+  out.unshift(out.pop());
+  return out;
+}
+
+/**
+ * モノトーン・グレイコードの生成（Savage–Winkler の構成）
+ * ハミング重み（1の個数）が j と j+1 の間を行き来する経路 P(n, j) を重みの小さい順につなぐため、
+ * 重みがほぼ単調に増えていく。先頭は全0・末尾は重み n-1 以上で、循環はしない
+ * @param {number} n - ビット数（1〜12）
+ * @returns {number[]} 長さ 2^n のグレイコード列（非循環）
+ */
+function monotoneGrayCode(n) {
+  // ビット位置の置換 π_n（π_{n} = 右回転(π_{n-1}' ∘ π_{n-1}')、π_{n-1}' は末尾に n-1 を追加したもの）
+  const piCache = [null, [0]];
+  const pi = (k) => {
+    if (!piCache[k]) {
+      const x = pi(k - 1).concat([k - 1]);
+      const sq = x.map(i => x[i]);
+      piCache[k] = [sq[k - 1], ...sq.slice(0, k - 1)];
+    }
+    return piCache[k];
+  };
+
+  // P(k, j): 重み j と j+1 の頂点を通る経路（ビット配列、先頭がMSB）
+  const path = (k, j, reverse) => {
+    if (k === 1 && j === 0) return reverse ? [[1], [0]] : [[0], [1]];
+    if (j < 0 || j >= k) return [];
+    const perm = pi(k - 1);
+    const upper = (rev) => path(k - 1, j - 1, rev).map(x => [1, ...perm.map(i => x[i])]);
+    const lower = (rev) => path(k - 1, j, rev).map(x => [0, ...x]);
+    return reverse ? lower(true).concat(upper(true)) : upper(false).concat(lower(false));
+  };
+
+  const out = [];
+  for (let j = 0; j < n; j++) {
+    path(n, j, j % 2 === 1).forEach(x => out.push(x.reduce((acc, b) => (acc << 1) | b, 0)));
+  }
+  return out;
+}
+
+const graySequenceCache = new Map();
+
+/**
+ * 指定した種類の nビットグレイコード列（生成結果はキャッシュ）
+ * @param {string} family - CODE_FAMILIES のキー
+ * @param {number} n - ビット数（1〜12）
+ * @returns {number[]} 長さ 2^n のコード列（インデックス i の符号語）
+ */
+function graySequence(family, n) {
+  const key = `${family}:${n}`;
+  if (!graySequenceCache.has(key)) {
+    let codes;
+    if (family === 'balanced') codes = balancedGrayCode(n);
+    else if (family === 'monotone') codes = monotoneGrayCode(n);
+    else codes = Array.from({ length: 1 << n }, (_, i) => binToGray(i));
+    graySequenceCache.set(key, codes);
+  }
+  return graySequenceCache.get(key);
+}
+
+/**
+ * コード列のビット列（N進では桁）ごとの統計
+ * @param {number[]} codes - コード列
+ * @param {number} bits - ビット数（N進では桁数）
+ * @param {boolean} cyclic - 末尾→先頭の遷移を含めるか
+ * @param {number} radix - 基数（デフォルト2）
+ * @returns {{transitions: number[], spread: number, maxRun: number[], longestRun: number}}
+ *   transitions[b] / maxRun[b] はビットb（b=0がLSB）の遷移回数と、値が変わらない最長区間
+ */
+function sequenceStats(codes, bits, cyclic = true, radix = 2) {
+  const len = codes.length;
+  const transitions = new Array(bits).fill(0);
+  const maxRun = new Array(bits).fill(0);
+
+  for (let b = 0; b < bits; b++) {
+    const weight = radix ** b;
+    const at = (i) => Math.floor(codes[i % len] / weight) % radix;
+    const steps = cyclic ? len : len - 1;
+    const changes = [];
+    for (let i = 0; i < steps; i++) {
+      if (at(i) !== at(i + 1)) changes.push(i);
+    }
+    transitions[b] = changes.length;
+
+    if (changes.length === 0) {
+      maxRun[b] = len;
+    } else if (cyclic) {
+      // 循環: 連続する遷移位置の間隔がラン長（最後の遷移から先頭の遷移までを含む）
+      maxRun[b] = Math.max(...changes.map((c, i) => (i + 1 < changes.length ? changes[i + 1] - c : changes[0] + len - c)));
+    } else {
+      const bounds = [-1, ...changes, len - 1];
+      maxRun[b] = Math.max(...bounds.slice(1).map((c, i) => c - bounds[i]));
+    }
+  }
+
+  return {
+    transitions,
+    spread: Math.max(...transitions) - Math.min(...transitions),
+    maxRun,
+    longestRun: Math.max(...maxRun),
+  };
+}
+
+// ==========================================
+// N進（k進）グレイコード
+// ==========================================
+
+const MAX_CODE_ENTRIES = 4096; // 基本タブに並べる符号語数の上限（2進12ビット相当）
+const MAX_NARY_DIGITS = 32;    // 変換タブのN進変換で受け付ける最大桁数
+
+// N進グレイコードの方式
+const NARY_KINDS = {
+  modular: 'モジュラー',
+  reflected: '反射',
+};
+
+/**
+ * 数値を基数 radix の n 桁の数字配列に変換（先頭が最上位桁）
+ * @param {number} x - 数値
+ * @param {number} radix - 基数（2〜16）
+ * @param {number} n - 桁数
+ * @returns {number[]} 桁の配列
+ */
+function toDigits(x, radix, n) {
+  const digits = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    digits[i] = x % radix;
+    x = Math.floor(x / radix);
+  }
+  return digits;
+}
+
+/**
+ * 桁の配列を数値に変換
+ * @param {number[]} digits - 桁の配列（先頭が最上位桁）
+ * @param {number} radix - 基数
+ * @returns {number} 数値
+ */
+const fromDigits = (digits, radix) => digits.reduce((acc, d) => acc * radix + d, 0);
+
+/**
+ * 数値を基数 radix の n 桁の文字列に変換（10以上は A〜F）
+ * @param {number} x - 数値
+ * @param {number} radix - 基数
+ * @param {number} n - 桁数
+ * @returns {string} 前ゼロ埋めした文字列
+ */
+const padDigits = (x, radix, n) => x.toString(radix).toUpperCase().padStart(n, '0');
+
+/**
+ * 桁単位のハミング距離（値が異なる桁の数）
+ * @param {number} a - 数値
+ * @param {number} b - 数値
+ * @param {number} radix - 基数
+ * @returns {number} 異なる桁の数
+ */
+function hdistDigits(a, b, radix) {
+  let d = 0;
+  for (; a || b; a = Math.floor(a / radix), b = Math.floor(b / radix)) {
+    if (a % radix !== b % radix) d++;
+  }
+  return d;
+}
+
+/**
+ * 基数 radix で表の上限（MAX_CODE_ENTRIES）に収まる最大桁数
+ * @param {number} radix - 基数
+ * @returns {number} 最大桁数
+ */
+function maxDigitsFor(radix) {
+  let n = 1;
+  while (radix ** (n + 1) <= MAX_CODE_ENTRIES) n++;
+  return n;
+}
+
+/**
+ * N進数（桁配列）→ N進グレイコード
+ * modular: gᵢ = (bᵢ − bᵢ₊₁) mod k（最上位桁はそのまま）。末尾→先頭も1桁変化で循環する
+ * reflected: 上位のグレイ桁の和が奇数なら、その桁を反転（k−1−bᵢ）。k が偶数のときだけ循環する
+ * @param {number[]} digits - 桁配列（先頭が最上位桁）
+ * @param {number} radix - 基数 k
+ * @param {string} kind - 'modular' | 'reflected'
+ * @returns {number[]} グレイコードの桁配列
+ */
+function naryToGrayDigits(digits, radix, kind) {
+  if (kind === 'reflected') {
+    let odd = 0;
+    return digits.map(b => {
+      const g = odd ? radix - 1 - b : b;
+      odd ^= g & 1;
+      return g;
+    });
+  }
+  return digits.map((b, i) => (i === 0 ? b : (b - digits[i - 1] + radix) % radix));
+}
+
+/**
+ * N進グレイコード（桁配列）→ N進数
+ * modular: bᵢ = (gᵢ + bᵢ₊₁) mod k
+ * reflected: 上位のグレイ桁の和が奇数なら反転（bᵢ = k−1−gᵢ）
+ * @param {number[]} digits - グレイコードの桁配列
+ * @param {number} radix - 基数 k
+ * @param {string} kind - 'modular' | 'reflected'
+ * @returns {number[]} N進数の桁配列
+ */
+function naryFromGrayDigits(digits, radix, kind) {
+  if (kind === 'reflected') {
+    let odd = 0;
+    return digits.map(g => {
+      const b = odd ? radix - 1 - g : g;
+      odd ^= g & 1;
+      return b;
+    });
+  }
+  const out = [];
+  digits.forEach((g, i) => out.push(i === 0 ? g : (g + out[i - 1]) % radix));
+  return out;
+}
+
+/**
+ * n 桁の N進グレイコード列（生成結果はキャッシュ）
+ * 各符号語はグレイコードの桁を基数 radix で並べた数値として返す
+ * @param {number} radix - 基数（3〜16）
+ * @param {number} n - 桁数
+ * @param {string} kind - 'modular' | 'reflected'
+ * @returns {number[]} 長さ radix^n のコード列
+ */
+function naryGraySequence(radix, n, kind) {
+  const key = `${kind}:${radix}:${n}`;
+  if (!graySequenceCache.has(key)) {
+    const codes = Array.from({ length: radix ** n }, (_, i) =>
+      fromDigits(naryToGrayDigits(toDigits(i, radix, n), radix, kind), radix));
+    graySequenceCache.set(key, codes);
+  }
+  return graySequenceCache.get(key);
+}
+
 // ==========================================
 // タブナビゲーション
 // ==========================================
@@ -79,6 +550,15 @@ const panels = {
   basics: $('panel-basics'),
   disc: $('panel-disc'),
   convert: $('panel-convert'),
+  hdl: $('panel-hdl'),
+  fifo: $('panel-fifo'),
+  kmap: $('panel-kmap'),
+  power: $('panel-power'),
+  qam: $('panel-qam'),
+  ga: $('panel-ga'),
+  bitplane: $('panel-bitplane'),
+  puzzle: $('panel-puzzle'),
+  validate: $('panel-validate'),
   usecases: $('panel-usecases'),
 };
 
@@ -112,16 +592,52 @@ let n = 4;              // ビット数
 let val = 0;            // 現在の値
 let autoplay = null;    // 自動再生タイマー
 let autoplaySpeed = 600; // 自動再生速度（ms）
+let codeFamily = 'reflected'; // グレイコードの種類（CODE_FAMILIES のキー、基本タブとディスクで共通）
+let radix = 2;                // 基本タブの基数（3〜16ではN進グレイコード、n は桁数）
+let naryKind = 'modular';     // N進グレイコードの方式（'modular' | 'reflected'）
+
+/**
+ * 基本タブで扱うコード列
+ * 2進は選択中の種類（graySequence）、3〜16進は N進グレイコード（naryGraySequence）
+ * @returns {number[]} インデックス i の符号語
+ */
+function basicsSequence() {
+  return radix === 2 ? graySequence(codeFamily, n) : naryGraySequence(radix, n, naryKind);
+}
+
+/**
+ * 基本タブのコード列が循環するか（末尾→先頭も1ビット変化）
+ * 2進は種類の定義（モノトーンは循環しない）、N進は実際の末尾→先頭の距離で判定する
+ * @param {number[]} seq - basicsSequence のコード列
+ * @returns {boolean} 循環する場合 true
+ */
+function basicsCyclic(seq) {
+  return radix === 2 ? CODE_FAMILIES[codeFamily].cyclic : codeDistance(seq[seq.length - 1], seq[0]) === 1;
+}
+
+/**
+ * 基本タブの符号語を表示用の文字列に変換（n 桁、N進は 0〜9A〜F）
+ * @param {number} x - 符号語
+ * @returns {string} 文字列
+ */
+const formatCode = (x) => (radix === 2 ? pad(x, n) : padDigits(x, radix, n));
+
+/**
+ * 基本タブの符号語間のハミング距離（N進は桁単位）
+ * @param {number} a - 符号語
+ * @param {number} b - 符号語
+ * @returns {number} 異なるビット（桁）の数
+ */
+const codeDistance = (a, b) => (radix === 2 ? hdist(a, b) : hdistDigits(a, b, radix));
 
 /**
  * ビット数変更時の境界値同期
  * スライダーの最大値とセクター総数を更新
  */
 function syncBasicsBounds() {
-  const max = (1 << n) - 1; // 2^n - 1
+  const max = basicsSequence().length - 1; // k^n - 1
   $('val').max = String(max);
   $('valNum').max = String(max);
-  $('sectorsTotal').textContent = String(1 << $('discBits').value);
 
   // 現在の値が範囲外の場合は調整
   if (val > max) setVal(max);
@@ -151,7 +667,7 @@ function setVal(v) {
     return;
   }
 
-  const max = (1 << n) - 1;
+  const max = basicsSequence().length - 1;
   const wrap = $('wrap').checked;
 
   try {
@@ -183,24 +699,27 @@ function setVal(v) {
 function renderBasics() {
   // 現在の値を各形式で表示
   $('decOut').textContent = String(val);
-  $('binOut').textContent = pad(val, n);
-  $('grayOut').textContent = pad(binToGray(val), n);
-
-  // 次の値とのハミング距離を計算
-  const next = (val + 1) & ((1 << n) - 1);
-  const grayHamming = hdist(binToGray(val), binToGray(next));
-  const binHamming = hdist(val, next);
+  $('binOut').textContent = formatCode(val);
+  const seq = basicsSequence();
+  $('grayOut').textContent = formatCode(seq[val]);
+
+  // 次の値とのハミング距離を計算（N進は桁単位）
+  // 循環しないコード列（モノトーンなど）では末尾→先頭は隣接ではないので Gray 側は表示しない
+  const cyclic = basicsCyclic(seq);
+  const next = (val + 1) % seq.length;
+  const grayHamming = cyclic || next !== 0 ? codeDistance(seq[val], seq[next]) : '—（循環しない）';
+  const binHamming = codeDistance(val, next);
   $('hdOut').textContent = `Gray=${grayHamming} / Bin=${binHamming}`;
 
   // 比較表の生成（XSS対策済み）
   const tbody = $('seqTbl').querySelector('tbody');
   tbody.innerHTML = ''; // 既存内容をクリア
-  const max = 1 << n;
+  const max = seq.length;
 
   for (let i = 0; i < max; i++) {
-    const g = binToGray(i);
+    const g = seq[i];
     const prev = (i - 1 + max) % max;
-    const dh = hdist(binToGray(prev), g);
+    const dh = cyclic || i > 0 ? codeDistance(seq[prev], g) : '-';
     const isActive = i === val;
 
     // 安全なDOM操作でXSS脆弱性を防止
@@ -216,14 +735,14 @@ function renderBasics() {
     // バイナリセル
     const binCell = document.createElement('td');
     const binCode = document.createElement('code');
-    binCode.textContent = pad(i, n);
+    binCode.textContent = formatCode(i);
     binCell.appendChild(binCode);
     row.appendChild(binCell);
 
     // グレイセル
     const grayCell = document.createElement('td');
     const grayCode = document.createElement('code');
-    grayCode.textContent = pad(g, n);
+    grayCode.textContent = formatCode(g);
     grayCell.appendChild(grayCode);
     row.appendChild(grayCell);
 
@@ -245,121 +764,692 @@ function renderBasics() {
   if (activeRow) {
     activeRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
   }
+
+  renderCodeStats();
+  renderHypercube();
+  drawWaveform();
 }
 
 /**
- * 自動再生速度の動的更新
- * 既存のタイマーを停止して新しい速度で再開
+ * コードの統計カードの描画（ビット別の遷移回数・バランス差・最長ラン）
+ * ビット数・種類が変わったときだけ計算し直す
  */
-function updateAutoplaySpeed() {
-  if (autoplay) {
-    clearInterval(autoplay);
-    autoplay = setInterval(() => $('next').click(), autoplaySpeed);
-  }
+function renderCodeStats() {
+  const key = `${radix}:${radix === 2 ? codeFamily : naryKind}:${n}`;
+  if ($('codeStats').dataset.key === key) return;
+  $('codeStats').dataset.key = key;
+
+  const seq = basicsSequence();
+  const cyclic = basicsCyclic(seq);
+  const stats = sequenceStats(seq, n, cyclic, radix);
+  const prefix = radix === 2 ? 'b' : 'd';
+  const perBit = (arr) => arr.map((v, b) => `${prefix}${b}:${v}`).reverse().join(' ');
+
+  $('statsFamily').textContent = radix === 2
+    ? `${CODE_FAMILIES[codeFamily].label} / ${n}ビット`
+    : `${radix}進 ${NARY_KINDS[naryKind]} / ${n}桁`;
+  $('statsSpread').textContent = String(stats.spread);
+  $('statsRun').textContent = String(stats.longestRun);
+  $('statsCyclic').textContent = cyclic ? `あり（末尾→先頭も1${radix === 2 ? 'ビット' : '桁'}）` : 'なし';
+  $('statsTransitions').textContent = `遷移回数 ${perBit(stats.transitions)}`;
+  $('statsRuns').textContent = `最長ラン ${perBit(stats.maxRun)}`;
 }
 
-// ==========================================
-// 基本タブ - イベントリスナー
-// ==========================================
-
-// ビット数変更（セキュリティ強化版）
-$('bits').addEventListener('change', e => {
-  const inputVal = e.target.value;
-  const numVal = parseInt(inputVal, 10);
+/**
+ * n次元立方体の頂点配置（2次元への投影）
+ * ビット0〜2は斜投影した立方体、ビット3は入れ子（内側・外側）の立方体、
+ * ビット4・5は立方体の組を横・縦に並べる
+ * @param {number} dims - 次元数（1〜6）
+ * @returns {Array<[number, number]>} 頂点 v の座標（単位長さ）
+ */
+function hypercubeLayout(dims) {
+  const axes = [[1, 0], [0, -1], [0.45, -0.3]]; // ビット0〜2の方向
+  const center = [0.725, -0.65];                  // ビット0〜2の立方体の中心
+  return Array.from({ length: 1 << dims }, (_, v) => {
+    let x = 0;
+    let y = 0;
+    axes.forEach(([ax, ay], b) => {
+      if (b < dims && (v >> b) & 1) {
+        x += ax;
+        y += ay;
+      }
+    });
+    if (dims >= 4) {
+      const scale = (v >> 3) & 1 ? 1.6 : 0.7;
+      x = center[0] + (x - center[0]) * scale;
+      y = center[1] + (y - center[1]) * scale;
+    }
+    if ((v >> 4) & 1) x += 2.8;
+    if ((v >> 5) & 1) y += 2.6;
+    return [x, y];
+  });
+}
 
-  // 入力検証
-  if (isNaN(numVal) || !isFinite(numVal)) {
-    console.warn('Invalid bit number input:', inputVal);
-    e.target.value = n; // 現在の値に戻す
+/**
+ * n次元立方体上の経路の描画
+ * 辺（1ビット違いの頂点の組）を薄く描き、現在のコード列の経路と比較用のバイナリ順の経路を重ねる
+ * 経路は先頭から現在値 val までを強調し、val の頂点を大きく表示する
+ */
+function renderHypercube() {
+  const svg = $('cubeSvg');
+  svg.innerHTML = '';
+  const supported = radix === 2 && n <= 6;
+  svg.classList.toggle('hidden', !supported);
+  if (!supported) {
+    $('cubeInfo').textContent = '2進・n≤6 のときに表示します';
     return;
   }
 
-  // 安全な範囲に制限（1-12ビット）
-  const safeBits = Math.max(1, Math.min(12, numVal));
-  if (safeBits !== numVal) {
-    e.target.value = safeBits; // 修正された値を表示
+  const seq = basicsSequence();
+  const size = seq.length;
+  const raw = hypercubeLayout(n);
+  const xs = raw.map(p => p[0]);
+  const ys = raw.map(p => p[1]);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const W = 480;
+  const H = 360;
+  const margin = 36;
+  const scale = Math.min((W - margin * 2) / (maxX - minX || 1), (H - margin * 2) / (maxY - minY || 1));
+  const offX = (W - (maxX - minX) * scale) / 2;
+  const offY = (H - (maxY - minY) * scale) / 2;
+  const pos = raw.map(([x, y]) => [offX + (x - minX) * scale, offY + (y - minY) * scale]);
+  const points = (nodes) => nodes.map(v => pos[v].map(c => c.toFixed(1)).join(',')).join(' ');
+
+  // 辺
+  for (let v = 0; v < size; v++) {
+    for (let b = 0; b < n; b++) {
+      const u = v ^ (1 << b);
+      if (u > v) {
+        svg.appendChild(svgEl('line', {
+          x1: pos[v][0], y1: pos[v][1], x2: pos[u][0], y2: pos[u][1], class: 'cube-edge'
+        }));
+      }
+    }
   }
 
-  n = safeBits;
-  syncBasicsBounds();
-  renderBasics();
-});
-
-// 値変更（スライダー・数値入力）
-$('val').addEventListener('input', () => setVal($('val').value | 0));
-$('valNum').addEventListener('input', () => setVal($('valNum').value | 0));
-
-// 前の値へ移動
-$('prev').addEventListener('click', () => {
-  const max = (1 << n);
-  if ($('wrap').checked) {
-    setVal((val - 1 + max) % max);
-  } else {
-    setVal(val - 1);
+  // バイナリ順の経路（比較用）
+  const binOrder = Array.from({ length: size }, (_, i) => i);
+  if ($('cubeBinary').checked) {
+    svg.appendChild(svgEl('polyline', { points: points(binOrder), class: 'cube-path-bin' }));
+    svg.appendChild(svgEl('polyline', { points: points(binOrder.slice(0, val + 1)), class: 'cube-path-bin done' }));
   }
-});
 
-// 次の値へ移動
-$('next').addEventListener('click', () => {
-  const max = (1 << n);
-  if ($('wrap').checked) {
-    setVal((val + 1) % max);
-  } else {
-    setVal(val + 1);
+  // 現在のコード列の経路
+  svg.appendChild(svgEl('polyline', { points: points(seq), class: 'cube-path-gray' }));
+  svg.appendChild(svgEl('polyline', { points: points(seq.slice(0, val + 1)), class: 'cube-path-gray done' }));
+
+  // 頂点（クリックでその符号語の位置へ移動）
+  const order = new Array(size);
+  seq.forEach((g, i) => { order[g] = i; });
+  for (let v = 0; v < size; v++) {
+    const cls = ['cube-node'];
+    if (v === seq[val]) cls.push('current');
+    if ($('cubeBinary').checked && v === val) cls.push('bin-current');
+    const g = svgEl('g', { class: cls.join(' '), 'data-index': order[v] });
+    g.appendChild(svgEl('circle', { cx: pos[v][0], cy: pos[v][1], r: v === seq[val] ? 9 : n >= 5 ? 4 : 6 }));
+    g.appendChild(svgEl('title', {}, `${pad(v, n)}（Gray順 #${order[v]}）`));
+    if (n <= 4) {
+      g.appendChild(svgEl('text', { x: pos[v][0] + 8, y: pos[v][1] - 8, class: 'cube-label' }, pad(v, n)));
+    }
+    svg.appendChild(g);
   }
-});
 
-// 自動再生の開始/停止
-$('auto').addEventListener('change', e => {
-  if (e.target.checked) {
-    if (autoplay) clearInterval(autoplay);
-    autoplay = setInterval(() => $('next').click(), autoplaySpeed);
-  } else {
-    clearInterval(autoplay);
-    autoplay = null;
+  // バイナリ順で辺のない（2ビット以上の）移動の数
+  let jumps = 0;
+  let maxJump = 0;
+  for (let i = 1; i < size; i++) {
+    const d = hdist(i - 1, i);
+    if (d > 1) jumps++;
+    maxJump = Math.max(maxJump, d);
   }
-});
+  $('cubeInfo').textContent = `Gray: ${size - 1}辺を1本ずつ / Binary: 辺のない移動 ${jumps}回（最大${maxJump}ビット）`;
+}
 
-// キーボードショートカット
-document.addEventListener('keydown', e => {
-  // 入力フィールドにフォーカスがある場合は無視
-  if (e.target.tagName === 'INPUT') return;
+// タイミング図の表示範囲（クリック位置から値を求めるために保持）
+const waveView = { start: 0, count: 0, left: 36, dx: 1 };
 
-  switch (e.key) {
-    case 'ArrowLeft':
-      $('prev').click();
-      break;
-    case 'ArrowRight':
-      $('next').click();
-      break;
-    case ' ':
-      e.preventDefault();
-      $('auto').checked = !$('auto').checked;
-      $('auto').dispatchEvent(new Event('change'));
-      break;
+/**
+ * タイミング図（ビットごとの波形）の描画
+ * 上段にバイナリ、下段に現在のコード列の各ビットを並べ、
+ * 2ビット以上が同時に変化する位置（グリッチの危険箇所）に赤線、現在値 val に帯を表示する
+ */
+function drawWaveform() {
+  const canvas = $('waveCanvas');
+  const supported = radix === 2;
+  canvas.classList.toggle('hidden', !supported);
+  if (!supported) {
+    $('waveInfo').textContent = '2進のときに表示します';
+    return;
   }
-});
 
-// ==========================================
-// エンコーダーディスクタブ
-// ==========================================
+  const seq = basicsSequence();
+  const size = seq.length;
+  const count = Math.min(parseInt($('waveRange').value, 10) || size, size);
+  const start = Math.max(0, Math.min(size - count, val - Math.floor(count / 2)));
+  const laneH = n <= 6 ? 22 : 16;
+  const gapH = 12;
+  const top = 18;
+  const H = top + laneH * 2 * n + gapH + 4;
+  if (canvas.height !== H) canvas.height = H;
 
-let spinTimer = null; // 回転アニメーションのタイマー
-let discRotateTimer = null; // ディスク回転アニメーションのタイマー
-let discRotationAngle = 0; // ディスクの回転角度（度）
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width;
+  const left = waveView.left;
+  const dx = (W - left - 8) / count;
+  Object.assign(waveView, { start, count, dx });
+  ctx.clearRect(0, 0, W, H);
 
-/**
- * 角度からセクター番号を計算
- * 角度0度（上向き）= セクター0になるよう調整
- * @param {number} angle - 角度（0-359、0度=上向き）
- * @param {number} bits - ビット数
- * @returns {number} セクター番号
- */
-function sectorFromAngle(angle, bits) {
-  const sectors = 1 << bits;
-  const step = 360 / sectors;
-  // 角度0度（上向き）をセクター0にするため、時計回りでセクター番号を計算
-  return Math.floor(angle / step) % sectors;
+  const fg = getCSSVar('fg');
+  const accent = getCSSVar('canvas-accent');
+  const errorColor = getCSSVar('canvas-error');
+  const laneTop = (k) => top + k * laneH + (k >= n ? gapH : 0);
+  const xAt = (i) => left + (i - start) * dx;
+  const binBottom = laneTop(n - 1) + laneH;
+  const grayTop = laneTop(n);
+
+  // 現在値の帯
+  if (val >= start && val < start + count) {
+    ctx.fillStyle = accent;
+    ctx.globalAlpha = 0.2;
+    ctx.fillRect(xAt(val), top - 4, Math.max(dx, 2), H - top);
+    ctx.globalAlpha = 1;
+  }
+
+  // 複数ビット同時変化（グリッチの危険箇所）
+  ctx.strokeStyle = errorColor;
+  ctx.lineWidth = 1.5;
+  for (let i = Math.max(1, start); i < start + count; i++) {
+    const x = xAt(i);
+    if (hdist(i - 1, i) > 1) {
+      ctx.beginPath();
+      ctx.moveTo(x, top - 4);
+      ctx.lineTo(x, binBottom);
+      ctx.stroke();
+    }
+    if (hdist(seq[i - 1], seq[i]) > 1) {
+      ctx.beginPath();
+      ctx.moveTo(x, grayTop);
+      ctx.lineTo(x, H - 2);
+      ctx.stroke();
+    }
+  }
+
+  // 値の目盛り（表示ステップが少ないときは全て）
+  ctx.fillStyle = fg;
+  ctx.font = '10px monospace';
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  const tickEvery = Math.max(1, Math.ceil(40 / dx));
+  for (let i = start; i < start + count; i += tickEvery) {
+    ctx.fillText(String(i), xAt(i) + 2, 2);
+  }
+
+  // 各ビットの波形（k < n がバイナリ、k >= n が Gray、どちらも上が最上位ビット）
+  ctx.font = '12px monospace';
+  ctx.textBaseline = 'middle';
+  for (let k = 0; k < 2 * n; k++) {
+    const isGray = k >= n;
+    const bit = n - 1 - (k % n);
+    const yHigh = laneTop(k) + 4;
+    const yLow = laneTop(k) + laneH - 4;
+    const level = (i) => ((isGray ? seq[i] : i) >> bit) & 1;
+
+    ctx.fillStyle = fg;
+    ctx.fillText(`${isGray ? 'G' : 'B'}${bit}`, 4, (yHigh + yLow) / 2);
+
+    ctx.strokeStyle = isGray ? accent : fg;
+    ctx.lineWidth = dx < 2 ? 1 : 2;
+    ctx.beginPath();
+    for (let i = start; i < start + count; i++) {
+      const x = xAt(i);
+      const y = level(i) ? yHigh : yLow;
+      if (i === start) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, level(i - 1) ? yHigh : yLow);
+        ctx.lineTo(x, y);
+      }
+      ctx.lineTo(x + dx, y);
+    }
+    ctx.stroke();
+  }
+
+  // 系列全体での同時変化の数
+  let binHazards = 0;
+  let binMax = 0;
+  let grayHazards = 0;
+  for (let i = 1; i < size; i++) {
+    const d = hdist(i - 1, i);
+    if (d > 1) binHazards++;
+    binMax = Math.max(binMax, d);
+    if (hdist(seq[i - 1], seq[i]) > 1) grayHazards++;
+  }
+  $('waveInfo').textContent =
+    `Binary: 同時変化 ${binHazards}箇所（最大${binMax}ビット） / Gray: ${grayHazards}箇所 / 表示 ${start}〜${start + count - 1}`;
+}
+
+const MAX_BUILD_BITS = 8; // 反射による構成を表示する最大ビット数
+
+// 反射による構成の状態（steps は bits ビットまでの全ステップ）
+const buildState = { bits: 0, steps: [], step: 0, timer: null };
+
+/**
+ * 反射による構成（鏡映して 0・1 を付ける）のステップ列を生成
+ * L1 = (0, 1) から始め、k ビットの表 Lk について
+ *   鏡映: Lk の下に上下反転した写しを並べる
+ *   付加: 上半分の先頭に 0、下半分の先頭に 1 を付けて Lk+1 とする
+ * を繰り返し、最後に binToGray の表と1行ずつ照合する
+ * @param {number} bits - 目標のビット数 n
+ * @returns {Array<{caption: string, rows: Array<object>, verify: boolean}>} ステップ列
+ */
+function reflectConstructionSteps(bits) {
+  const steps = [];
+  let list = ['0', '1'];
+  steps.push({
+    caption: 'L1 = (0, 1) から始めます',
+    rows: list.map(code => ({ code, prefix: '', source: '初期値' })),
+    verify: false
+  });
+
+  for (let k = 1; k < bits; k++) {
+    const len = list.length;
+    const mirrored = list.slice().reverse();
+    steps.push({
+      caption: `鏡映: L${k} の下に、上下を反転した写しを並べます（中央の線で対称）`,
+      rows: list.map((code, i) => ({ code, prefix: '', source: `L${k}[${i}]` }))
+        .concat(mirrored.map((code, j) => ({
+          code, prefix: '', source: `L${k}[${len - 1 - j}] の鏡映`, mirrored: true, mirrorStart: j === 0
+        }))),
+      verify: false
+    });
+
+    const next = list.map(code => '0' + code).concat(mirrored.map(code => '1' + code));
+    steps.push({
+      caption: `付加: 上半分に 0、下半分に 1 を付けて L${k + 1}（${k + 1}ビット・${next.length}個）を作ります`,
+      rows: next.map((code, i) => ({
+        code: code.slice(1),
+        prefix: code[0],
+        source: i < len ? '先頭に0を付加' : '先頭に1を付加',
+        mirrored: i >= len,
+        mirrorStart: i === len
+      })),
+      verify: false
+    });
+    list = next;
+  }
+
+  const rows = list.map((code, i) => {
+    const expected = pad(binToGray(i), bits);
+    return { code, prefix: '', source: `L${bits}[${i}]`, expected, ok: code === expected };
+  });
+  const bad = rows.filter(r => !r.ok).length;
+  steps.push({
+    caption: bad
+      ? `照合: ${bad}行が binToGray(i) の表と一致しません`
+      : `照合: 全${rows.length}行が binToGray(i) = i ^ (i >>> 1) の表と一致しました`,
+    rows,
+    verify: true
+  });
+  return steps;
+}
+
+/**
+ * 反射による構成の表示
+ */
+function renderConstruction() {
+  const tbody = $('buildTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+  const supported = buildState.steps.length > 0;
+  ['buildPrev', 'buildNext', 'buildAuto', 'buildReset'].forEach(id => { $(id).disabled = !supported; });
+  if (!supported) {
+    $('buildInfo').textContent = `2進・n≤${MAX_BUILD_BITS} のときに表示します`;
+    $('buildCaption').textContent = '—';
+    return;
+  }
+
+  const step = buildState.steps[buildState.step];
+  $('buildInfo').textContent = `ステップ ${buildState.step + 1} / ${buildState.steps.length}（n=${buildState.bits}）`;
+  $('buildCaption').textContent = step.caption;
+  $('buildCaption').classList.toggle('error-text', step.verify && step.rows.some(r => !r.ok));
+
+  step.rows.forEach((r, i) => {
+    const row = document.createElement('tr');
+    if (r.mirrored) row.classList.add('mirrored');
+    if (r.mirrorStart) row.classList.add('mirror-start');
+    if (step.verify && !r.ok) row.classList.add('error');
+
+    const indexCell = document.createElement('td');
+    indexCell.textContent = String(i);
+
+    const codeCell = document.createElement('td');
+    const code = document.createElement('code');
+    if (r.prefix) {
+      const prefix = document.createElement('span');
+      prefix.className = 'prefix-bit';
+      prefix.textContent = r.prefix;
+      code.appendChild(prefix);
+    }
+    code.appendChild(document.createTextNode(r.code));
+    codeCell.appendChild(code);
+
+    const sourceCell = document.createElement('td');
+    sourceCell.textContent = r.source;
+    const expectedCell = document.createElement('td');
+    expectedCell.textContent = step.verify ? r.expected : '';
+    const okCell = document.createElement('td');
+    okCell.textContent = step.verify ? (r.ok ? '✓' : '✗') : '';
+
+    row.append(indexCell, codeCell, sourceCell, expectedCell, okCell);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * 反射による構成を最初のステップに戻す
+ * ビット数・基数が変わったときはステップ列を作り直す
+ */
+function resetConstruction() {
+  const supported = radix === 2 && n <= MAX_BUILD_BITS;
+  if (buildState.bits !== n || !supported) stopConstruction();
+  buildState.bits = n;
+  buildState.steps = supported ? reflectConstructionSteps(n) : [];
+  buildState.step = 0;
+  renderConstruction();
+}
+
+/**
+ * 反射による構成のステップ移動
+ * 比較表と同じく「循環」がオンなら端で反対側へ回り込み、オフなら端で止まる
+ * @param {number} delta - 移動量（+1 / -1）
+ * @returns {boolean} 移動できた場合 true
+ */
+function stepConstruction(delta) {
+  const total = buildState.steps.length;
+  if (!total) return false;
+  const target = buildState.step + delta;
+  if ($('wrap').checked) {
+    buildState.step = (target + total) % total;
+  } else if (target < 0 || target >= total) {
+    return false;
+  } else {
+    buildState.step = target;
+  }
+  renderConstruction();
+  return true;
+}
+
+/**
+ * 反射による構成の自動再生を停止
+ */
+function stopConstruction() {
+  clearInterval(buildState.timer);
+  buildState.timer = null;
+  $('buildAuto').checked = false;
+}
+
+/**
+ * 反射による構成の自動再生を開始（比較表の速度設定を使用）
+ */
+function startConstruction() {
+  clearInterval(buildState.timer);
+  buildState.timer = setInterval(() => {
+    if (!stepConstruction(1)) stopConstruction();
+  }, autoplaySpeed);
+}
+
+/**
+ * 自動再生速度の動的更新
+ * 既存のタイマーを停止して新しい速度で再開
+ */
+function updateAutoplaySpeed() {
+  if (autoplay) {
+    clearInterval(autoplay);
+    autoplay = setInterval(() => $('next').click(), autoplaySpeed);
+  }
+  if (buildState.timer) startConstruction();
+}
+
+// ==========================================
+// 基本タブ - イベントリスナー
+// ==========================================
+
+// ビット数変更（セキュリティ強化版）
+$('bits').addEventListener('change', e => {
+  const inputVal = e.target.value;
+  const numVal = parseInt(inputVal, 10);
+
+  // 入力検証
+  if (isNaN(numVal) || !isFinite(numVal)) {
+    console.warn('Invalid bit number input:', inputVal);
+    e.target.value = n; // 現在の値に戻す
+    return;
+  }
+
+  // 安全な範囲に制限（2進は1-12ビット、N進は k^n が表の上限に収まる桁数まで）
+  const safeBits = Math.max(1, Math.min(maxDigitsFor(radix), numVal));
+  if (safeBits !== numVal) {
+    e.target.value = safeBits; // 修正された値を表示
+  }
+
+  n = safeBits;
+  syncBasicsBounds();
+  renderBasics();
+  resetConstruction();
+});
+
+// 基数の変更（セキュリティ強化版）
+$('radix').addEventListener('change', e => {
+  const inputVal = e.target.value;
+  const numVal = parseInt(inputVal, 10);
+
+  // 入力検証
+  if (isNaN(numVal) || !isFinite(numVal)) {
+    console.warn('Invalid radix input:', inputVal);
+    e.target.value = radix; // 現在の値に戻す
+    return;
+  }
+
+  // 安全な範囲に制限（2〜16）
+  radix = Math.max(2, Math.min(16, numVal));
+  e.target.value = radix;
+
+  // 2進のときだけコードの種類、N進のときだけ方式を選べる
+  $('codeFamily').disabled = radix !== 2;
+  $('naryKind').disabled = radix === 2;
+  $('binLabel').textContent = radix === 2 ? 'Binary' : `${radix}進`;
+  $('grayLabel').textContent = radix === 2 ? 'Gray' : `${radix}進 Gray`;
+  $('seqBinHead').textContent = $('binLabel').textContent;
+  $('seqGrayHead').textContent = $('grayLabel').textContent;
+
+  // 桁数を上限に合わせる（#bits の検証処理を経由させる）
+  const maxDigits = maxDigitsFor(radix);
+  $('bits').max = String(maxDigits);
+  $('bits').value = String(Math.min(n, maxDigits));
+  $('bits').dispatchEvent(new Event('change'));
+});
+
+// N進グレイコードの方式の変更
+$('naryKind').addEventListener('change', e => {
+  naryKind = Object.hasOwn(NARY_KINDS, e.target.value) ? e.target.value : 'modular';
+  e.target.value = naryKind;
+  renderBasics();
+});
+
+/**
+ * グレイコードの種類を切り替え（基本タブとディスクの選択を同期）
+ * @param {string} family - CODE_FAMILIES のキー
+ */
+function setCodeFamily(family) {
+  codeFamily = Object.hasOwn(CODE_FAMILIES, family) ? family : 'reflected';
+  $('codeFamily').value = codeFamily;
+  $('discFamily').value = codeFamily;
+  renderBasics();
+  renderDiscAll();
+}
+
+// グレイコードの種類の変更
+$('codeFamily').addEventListener('change', e => setCodeFamily(e.target.value));
+
+// 立方体の頂点クリックでその値へ移動
+$('cubeSvg').addEventListener('click', e => {
+  const node = e.target.closest('[data-index]');
+  if (node) setVal(parseInt(node.dataset.index, 10));
+});
+$('cubeBinary').addEventListener('change', renderHypercube);
+
+// 値変更（スライダー・数値入力）
+$('val').addEventListener('input', () => setVal($('val').value | 0));
+$('valNum').addEventListener('input', () => setVal($('valNum').value | 0));
+
+// 前の値へ移動
+$('prev').addEventListener('click', () => {
+  const max = basicsSequence().length;
+  if ($('wrap').checked) {
+    setVal((val - 1 + max) % max);
+  } else {
+    setVal(val - 1);
+  }
+});
+
+// 次の値へ移動
+$('next').addEventListener('click', () => {
+  const max = basicsSequence().length;
+  if ($('wrap').checked) {
+    setVal((val + 1) % max);
+  } else {
+    setVal(val + 1);
+  }
+});
+
+// 自動再生の開始/停止
+$('auto').addEventListener('change', e => {
+  if (e.target.checked) {
+    if (autoplay) clearInterval(autoplay);
+    autoplay = setInterval(() => $('next').click(), autoplaySpeed);
+  } else {
+    clearInterval(autoplay);
+    autoplay = null;
+  }
+});
+
+// タイミング図のクリックでその値へ移動
+$('waveCanvas').addEventListener('click', e => {
+  const rect = e.target.getBoundingClientRect();
+  const x = (e.clientX - rect.left) * (e.target.width / (rect.width || e.target.width));
+  const i = waveView.start + Math.floor((x - waveView.left) / waveView.dx);
+  if (x >= waveView.left && i < waveView.start + waveView.count) setVal(i);
+});
+$('waveRange').addEventListener('change', drawWaveform);
+
+// 反射による構成のステップ操作
+$('buildPrev').addEventListener('click', () => stepConstruction(-1));
+$('buildNext').addEventListener('click', () => stepConstruction(1));
+$('buildReset').addEventListener('click', resetConstruction);
+$('buildAuto').addEventListener('change', e => {
+  if (e.target.checked) {
+    startConstruction();
+  } else {
+    stopConstruction();
+  }
+});
+
+// キーボードショートカット
+document.addEventListener('keydown', e => {
+  // 入力フィールドにフォーカスがある場合は無視
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+  switch (e.key) {
+    case 'ArrowLeft':
+      $('prev').click();
+      break;
+    case 'ArrowRight':
+      $('next').click();
+      break;
+    case ' ':
+      e.preventDefault();
+      $('auto').checked = !$('auto').checked;
+      $('auto').dispatchEvent(new Event('change'));
+      break;
+  }
+});
+
+// ==========================================
+// エンコーダーディスクタブ
+// ==========================================
+
+let discRotateTimer = null; // ディスク回転アニメーションのタイマー
+
+// ディスクの物理的な回転角度（度）
+// 読み取り線は画面上向きに固定され、ディスクが角度 currentAngle だけ反時計回りに回ると
+// ディスク上の角度 currentAngle の位置が読み取り線の下に来る
+let currentAngle = 0;
+let discDrag = null; // ドラッグ回転中の状態（開始時のポインタ角度とディスク角度）
+
+const MAX_DISC_SECTORS = 4096; // セクター数指定の上限（12ビット）
+let discCode = null;           // 現在のディスクのコード表（セクター数・種類が変わったときだけ作り直す）
+
+/**
+ * ディスクのコード表を生成
+ * Grayディスクは、セクター数が2のべき乗なら選択中の種類（graySequence）、
+ * それ以外は cyclicGrayCode（excess-shift方式の反射グレイコード）。
+ * Binaryディスクはセクター番号をそのまま符号化する
+ * @param {number} sectors - セクター数（偶数）
+ * @param {string} family - CODE_FAMILIES のキー
+ * @returns {object} コード表（bits, sectors, shift, label, gray[], bin[], 逆引きMap, 循環するか, 検証結果）
+ */
+function buildDiscCode(sectors, family) {
+  let { bits, shift, codes } = cyclicGrayCode(sectors);
+  let label = `excess-${shift}`;
+  let cyclic = true;
+  if (shift === 0) {
+    codes = graySequence(family, bits);
+    label = CODE_FAMILIES[family].label;
+    cyclic = CODE_FAMILIES[family].cyclic;
+  }
+  const bin = Array.from({ length: sectors }, (_, s) => s);
+  return {
+    bits,
+    sectors,
+    shift,
+    family,
+    label,
+    gray: codes,
+    bin,
+    grayIndex: new Map(codes.map((c, s) => [c, s])),
+    binIndex: new Map(bin.map((c, s) => [c, s])),
+    cyclic,
+    check: checkCodeSequence(codes, cyclic),
+  };
+}
+
+/**
+ * 画面の設定から現在のディスクのコード表を取得
+ * セクター数指定が無効なら 2^n セクター
+ * @returns {object} buildDiscCode のコード表
+ */
+function currentDiscCode() {
+  let sectors = 1 << Math.max(1, Math.min(12, $('discBits').value | 0));
+  if ($('discCustomSectors').checked) {
+    sectors = Math.max(2, Math.min(MAX_DISC_SECTORS, $('discSectors').value | 0));
+    sectors += sectors % 2;
+  }
+  if (!discCode || discCode.sectors !== sectors || discCode.family !== codeFamily) {
+    discCode = buildDiscCode(sectors, codeFamily);
+  }
+  return discCode;
+}
+
+/**
+ * 角度からセクター番号を計算
+ * 角度0度（上向き）= セクター0になるよう調整
+ * @param {number} angle - 角度（0-359、0度=上向き）
+ * @param {number} sectors - セクター数
+ * @returns {number} セクター番号
+ */
+function sectorFromAngle(angle, sectors) {
+  const step = 360 / sectors;
+  // 角度0度（上向き）をセクター0にするため、時計回りでセクター番号を計算
+  return Math.floor(angle / step) % sectors;
 }
 
 /**
@@ -373,12 +1463,14 @@ function getCSSVar(varName) {
 
 /**
  * エンコーダーディスクの描画
+ * ディスクは rotationAngle だけ反時計回りに回転した状態で描かれ、上向きの読み取り線の下の
+ * セクターが sectorFromAngle(rotationAngle) になる
  * @param {string} canvasId - Canvas要素のID
- * @param {number} bits - ビット数
+ * @param {object} dc - ディスクのコード表（currentDiscCode）
  * @param {boolean} isGray - グレイコード=true, バイナリ=false
  * @param {number} rotationAngle - 回転角度（度、デフォルト0）
  */
-function drawDisc(canvasId, bits, isGray = true, rotationAngle = 0) {
+function drawDisc(canvasId, dc, isGray = true, rotationAngle = 0) {
   const canvas = $(canvasId);
   const ctx = canvas.getContext('2d');
   const W = canvas.width, H = canvas.height;
@@ -394,13 +1486,13 @@ function drawDisc(canvasId, bits, isGray = true, rotationAngle = 0) {
   const errorColor = getCSSVar('canvas-error');
 
   // 描画パラメータの計算
+  const { bits, sectors } = dc;
   const rOuter = Math.min(W, H) / 2 - 20;
   const ringGap = 4;
   const ringWidth = (rOuter - 20 - (bits - 1) * ringGap) / bits;
-  const sectors = 1 << bits;
   const showNumbers = $('showNumbers') && $('showNumbers').checked;
   const highlightSector = $('highlightSector') && $('highlightSector').checked;
-  const currentSector = sectorFromAngle(currentAngle, bits);
+  const currentSector = sectorFromAngle(rotationAngle, sectors);
 
   // リングの描画（外側から内側へ、ビット順）
   for (let k = 0; k < bits; k++) {
@@ -409,13 +1501,13 @@ function drawDisc(canvasId, bits, isGray = true, rotationAngle = 0) {
 
     // 各セクターの描画
     for (let s = 0; s < sectors; s++) {
-      const codeInt = isGray ? binToGray(s) : s;         // グレイ or バイナリ
+      const codeInt = isGray ? dc.gray[s] : dc.bin[s];   // グレイ or バイナリ
       const bit = (codeInt >> (bits - 1 - k)) & 1;      // k番目のビット
 
       // セクターの角度範囲（セクター0が上向き0度から開始）
       const rotationRad = (rotationAngle * Math.PI) / 180; // 度をラジアンに変換
-      const a0 = (s / sectors) * 2 * Math.PI - Math.PI / 2 + rotationRad;
-      const a1 = ((s + 1) / sectors) * 2 * Math.PI - Math.PI / 2 + rotationRad;
+      const a0 = (s / sectors) * 2 * Math.PI - Math.PI / 2 - rotationRad;
+      const a1 = ((s + 1) / sectors) * 2 * Math.PI - Math.PI / 2 - rotationRad;
 
       // セクター形状の描画
       ctx.beginPath();
@@ -469,31 +1561,130 @@ function drawDisc(canvasId, bits, isGray = true, rotationAngle = 0) {
   ctx.moveTo(cx, cy);
   ctx.lineTo(cx, cy - rOuter);
   ctx.stroke();
+
+  // センサー誤差モード: リングごとのセンサー位置（読み取り線からの取り付けずれを反映）
+  if (sensorState.enabled) {
+    for (let k = 0; k < bits; k++) {
+      const r = rOuter - k * (ringWidth + ringGap) - ringWidth / 2;
+      const a = ((sensorState.offsets[k] || 0) * Math.PI) / 180 - Math.PI / 2;
+      ctx.beginPath();
+      ctx.arc(cx + r * Math.cos(a), cy + r * Math.sin(a), Math.max(3, Math.min(6, ringWidth / 3)), 0, Math.PI * 2);
+      ctx.fillStyle = errorColor;
+      ctx.fill();
+      ctx.strokeStyle = bit1Color;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+  }
 }
 
 /**
  * エンコーダーディスクの全体更新
- * 角度・ビット数に応じてディスクを描画し、読み取り値を表示
+ * 角度・ビット数に応じてディスクを描画し、読み取り線の位置の値を表示
  */
-// グローバル角度変数（手動回転ボタンで制御）
-let currentAngle = 0;
-
 function renderDiscAll() {
-  const bits = Math.max(1, Math.min(12, $('discBits').value | 0));
-  const sec = sectorFromAngle(currentAngle, bits);
+  // インクリメンタルモードはA/B相トラックと波形を表示
+  if (discMode === 'quadrature') {
+    renderQuadrature();
+    return;
+  }
+  if (discMode === 'singletrack') {
+    renderSingleTrack();
+    return;
+  }
+
+  const dc = currentDiscCode();
+  const bits = dc.bits;
+  const sec = sectorFromAngle(currentAngle, dc.sectors);
+
+  // セクター指定時はビット数を表示に反映
+  if ($('discCustomSectors').checked) $('discBits').value = String(bits);
 
   // セクター情報の更新
-  $('sectorsTotal').textContent = String(1 << bits);
+  $('sectorsTotal').textContent = String(dc.sectors);
   $('sectorOut').textContent = String(sec);
+  $('discAngleOut').textContent = `${currentAngle.toFixed(1)}°`;
 
   // グレイコードディスク
-  const grayValue = binToGray(sec);
-  $('discGray').textContent = pad(grayValue, bits);
-  drawDisc('disc', bits, true, discRotationAngle);
+  $('discGray').textContent = pad(dc.gray[sec], bits);
+  drawDisc('disc', dc, true, currentAngle);
 
   // バイナリディスク（常時表示）
-  $('discBinaryPattern').textContent = pad(sec, bits);
-  drawDisc('discBinary', bits, false, discRotationAngle);
+  $('discBinaryPattern').textContent = pad(dc.bin[sec], bits);
+  drawDisc('discBinary', dc, false, currentAngle);
+
+  renderDiscCodeTable(dc, sec);
+
+  // センサー誤差シミュレーション（ビット数・セクター数変更時は入力欄と統計を作り直す）
+  if (sensorState.offsets.length !== bits || !sensorState.stats || sensorState.stats.sectors !== dc.sectors) {
+    buildSensorOffsetInputs(bits);
+    resetSensorStats(dc.sectors);
+  }
+  if (sensorState.enabled) renderSensorPanel(dc);
+}
+
+/**
+ * ディスクのコード表の描画
+ * コード表（セクター数・種類）が変わったときだけ行を作り直し、それ以外は現在セクターの行だけ切り替える
+ * ΔHamming は直前のセクターとの距離（先頭行は末尾→先頭の循環）
+ * @param {object} dc - ディスクのコード表
+ * @param {number} sec - 現在のセクター番号
+ */
+function renderDiscCodeTable(dc, sec) {
+  const tbody = $('discSeqTbl').querySelector('tbody');
+
+  const key = `${dc.sectors}:${dc.family}`;
+  if (tbody.dataset.key !== key) {
+    tbody.innerHTML = ''; // 既存内容をクリア
+    tbody.dataset.key = key;
+
+    for (let s = 0; s < dc.sectors; s++) {
+      const row = document.createElement('tr');
+      row.dataset.index = String(s);
+      if (dc.check.violations.includes(s)) row.className = 'error';
+
+      const cells = [String(s), pad(dc.gray[s], dc.bits), pad(dc.bin[s], dc.bits), String(dc.check.steps[s] ?? '-')];
+      cells.forEach((text, i) => {
+        const td = document.createElement('td');
+        if (i === 1 || i === 2) {
+          const code = document.createElement('code');
+          code.textContent = text;
+          td.appendChild(code);
+        } else {
+          td.textContent = text;
+        }
+        row.appendChild(td);
+      });
+
+      // クリックでそのセクターの中央へ回転
+      row.addEventListener('click', () => setDiscAngle(((s + 0.5) * 360) / dc.sectors));
+      tbody.appendChild(row);
+    }
+
+    const { check } = dc;
+    const wrap = hdist(dc.gray[dc.sectors - 1], dc.gray[0]);
+    let verdict;
+    if (!check.ok) {
+      verdict = `検証NG: 重複${check.unique ? 'なし' : 'あり'}、1ビット変化でない遷移 ${check.violations.length}箇所`;
+    } else if (dc.cyclic) {
+      verdict = `検証OK: ${dc.sectors}個のコードはすべて異なり、末尾→先頭を含む全${dc.sectors}遷移が1ビット変化（${dc.bits}ビット、${dc.label}）`;
+    } else {
+      verdict = `検証OK: ${dc.sectors}個のコードはすべて異なり、隣接する全${dc.sectors - 1}遷移が1ビット変化（${dc.bits}ビット、${dc.label}）。` +
+        `この種類は循環しないため、1周の継ぎ目（末尾→先頭）は${wrap}ビット変化します`;
+    }
+    $('discCodeCheck').textContent = verdict;
+    $('discCodeCheck').classList.toggle('error-text', !check.ok);
+  }
+
+  // アクティブ行の切り替え
+  const prev = tbody.querySelector('tr.active');
+  const row = tbody.children[sec];
+  if (prev === row) return;
+  if (prev) prev.classList.remove('active');
+  if (row) {
+    row.classList.add('active');
+    row.scrollIntoView({ block: 'nearest' });
+  }
 }
 
 // ==========================================
@@ -521,22 +1712,63 @@ $('discBits').addEventListener('change', e => {
   renderDiscAll();
 });
 
-// 手動回転ボタン（前のセクター）
-$('prevSector').addEventListener('click', () => {
-  const bits = Math.max(1, Math.min(12, $('discBits').value | 0));
-  const sectors = 1 << bits;
-  const stepAngle = 360 / sectors;
-  currentAngle = (currentAngle - stepAngle + 360) % 360;
+// グレイコードの種類の変更（基本タブと共通）
+$('discFamily').addEventListener('change', e => setCodeFamily(e.target.value));
+
+// セクター数指定の切り替え（指定時はビット数をセクター数から決める）
+$('discCustomSectors').addEventListener('change', e => {
+  $('discSectors').disabled = !e.target.checked;
+  $('discBits').disabled = e.target.checked;
   renderDiscAll();
 });
 
+// セクター数変更（セキュリティ強化版）
+$('discSectors').addEventListener('change', e => {
+  const inputVal = e.target.value;
+  const numVal = parseInt(inputVal, 10);
+
+  // 入力検証
+  if (isNaN(numVal) || !isFinite(numVal)) {
+    console.warn('Invalid disc sector count input:', inputVal);
+    e.target.value = 360; // デフォルト値に戻す
+    renderDiscAll();
+    return;
+  }
+
+  // 安全な範囲に制限（2〜4096の偶数。奇数周期では循環グレイコードが存在しない）
+  let safeSectors = Math.max(2, Math.min(MAX_DISC_SECTORS, numVal));
+  if (safeSectors % 2) {
+    console.warn('Sector count must be even, rounded up:', numVal);
+    safeSectors += 1;
+  }
+  if (safeSectors !== numVal) {
+    e.target.value = safeSectors; // 修正された値を表示
+  }
+
+  renderDiscAll();
+});
+
+/**
+ * 手動回転の1ステップに使うセクター数（シングルトラックモードはトラックの位置数）
+ * @returns {number} セクター数
+ */
+function discStepSectors() {
+  return discMode === 'singletrack' ? currentSingleTrack().period : currentDiscCode().sectors;
+}
+
+// 手動回転ボタン（前のセクター）
+// 360/セクター数 が割り切れない場合の丸め誤差を避けるため、隣のセクターの中央へ移動する
+$('prevSector').addEventListener('click', () => {
+  const sectors = discStepSectors();
+  const stepAngle = 360 / sectors;
+  setDiscAngle((sectorFromAngle(currentAngle, sectors) - 0.5) * stepAngle);
+});
+
 // 手動回転ボタン（次のセクター）
 $('nextSector').addEventListener('click', () => {
-  const bits = Math.max(1, Math.min(12, $('discBits').value | 0));
-  const sectors = 1 << bits;
+  const sectors = discStepSectors();
   const stepAngle = 360 / sectors;
-  currentAngle = (currentAngle + stepAngle) % 360;
-  renderDiscAll();
+  setDiscAngle((sectorFromAngle(currentAngle, sectors) + 1.5) * stepAngle);
 });
 
 // 数字表示切り替え
@@ -545,6 +1777,40 @@ $('showNumbers').addEventListener('change', renderDiscAll);
 // セクターハイライト切り替え
 $('highlightSector').addEventListener('change', renderDiscAll);
 
+/**
+ * ディスク角度の設定（0〜360度に正規化）
+ * 回転中・ドラッグ中はセンサー誤差モードの読み取りも行う
+ * インクリメンタルモードでは移動量と経過時間からA/B相をサンプリングする
+ * @param {number} angle - 新しい角度（度）
+ * @param {boolean} sample - センサー読み取りを行うか
+ * @param {number|null} dt - 前回からの経過時間（ms、ボタン操作はnull）
+ */
+function setDiscAngle(angle, sample = false, dt = null) {
+  const start = currentAngle;
+  const delta = ((((angle - start) % 360) + 540) % 360) - 180; // -180〜180に正規化
+  currentAngle = ((angle % 360) + 360) % 360;
+
+  if (discMode === 'quadrature') {
+    updateQuadrature(start, delta, dt);
+  } else if (sample && sensorState.enabled && discMode === 'absolute') {
+    takeSensorReading(currentDiscCode());
+  }
+  renderDiscAll();
+}
+
+/**
+ * ポインタ位置からディスク中心に対する角度を計算（度、上向き0・時計回り）
+ * @param {HTMLCanvasElement} canvas - 対象Canvas
+ * @param {PointerEvent} e - ポインタイベント
+ * @returns {number} 角度（度）
+ */
+function pointerAngle(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  const x = e.clientX - rect.left - rect.width / 2;
+  const y = e.clientY - rect.top - rect.height / 2;
+  return (Math.atan2(x, -y) * 180) / Math.PI;
+}
+
 // ディスク回転開始ボタン
 $('discRotateStart').addEventListener('click', () => {
   if (discRotateTimer) clearInterval(discRotateTimer);
@@ -552,9 +1818,9 @@ $('discRotateStart').addEventListener('click', () => {
   // 固定間隔で実行し、動的に速度を参照
   discRotateTimer = setInterval(() => {
     const speed = parseInt($('discRotateSpeed').value);
-    const angleStep = speed / 10; // 角度ステップをスピードに比例
-    discRotationAngle = (discRotationAngle + angleStep) % 360;
-    renderDiscAll();
+    const angleStep = speed / 25; // 角度ステップをスピードに比例
+    const dir = $('discRotateReverse').checked ? -1 : 1;
+    setDiscAngle(currentAngle + dir * angleStep, true, 16);
   }, 16); // 約60FPSで実行
 
   $('discRotateStart').disabled = true;
@@ -572,269 +1838,5622 @@ $('discRotateStop').addEventListener('click', () => {
   $('discRotateStop').disabled = true;
 });
 
-// ディスク回転速度変更
-$('discRotateSpeed').addEventListener('input', e => {
-  $('discRotateSpeedValue').textContent = e.target.value;
-  // タイマーは再作成せず、動的に速度値を参照するため何もしない
-});
+// ディスク回転速度変更
+$('discRotateSpeed').addEventListener('input', e => {
+  $('discRotateSpeedValue').textContent = e.target.value;
+  // タイマーは再作成せず、動的に速度値を参照するため何もしない
+});
+
+// マウス・タッチによるドラッグ回転（両ディスク共通の角度を操作）
+['disc', 'discBinary'].forEach(id => {
+  const canvas = $(id);
+
+  canvas.addEventListener('pointerdown', e => {
+    discDrag = { start: pointerAngle(canvas, e), angle: currentAngle, time: performance.now() };
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', e => {
+    if (!discDrag) return;
+    // 時計回りにドラッグするとディスクは時計回り（角度は減少）
+    const now = performance.now();
+    const dt = Math.min(100, now - discDrag.time);
+    discDrag.time = now;
+    setDiscAngle(discDrag.angle - (pointerAngle(canvas, e) - discDrag.start), true, dt);
+  });
+
+  const endDrag = () => { discDrag = null; };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+});
+
+// ==========================================
+// エンコーダーディスク - センサー誤差シミュレーション
+// ==========================================
+
+const SENSOR_MAX_OFFSET = 20; // センサー取り付けずれの上限（度）
+
+// センサー誤差シミュレーションの状態
+const sensorState = {
+  enabled: false,
+  offsets: [],   // リングごとの取り付けずれ（度、外側リング=MSBから順）
+  jitter: 0,     // 読み取りごとの角度ジッタ（標準偏差、度）
+  seed: 1,
+  rng: createRng(1),
+  last: null,    // 直近の読み取り結果
+  stats: null,   // 累積統計
+};
+
+/**
+ * 統計の初期化
+ * @param {number} sectors - セクター数
+ */
+function resetSensorStats(sectors) {
+  const size = Math.floor(sectors / 2) + 1; // 循環距離の最大値 + 1
+  sensorState.rng = createRng(sensorState.seed);
+  sensorState.last = null;
+  sensorState.stats = {
+    sectors,
+    reads: 0,
+    gray: { errors: 0, invalid: 0, maxErr: 0, hist: new Array(size).fill(0) },
+    bin: { errors: 0, invalid: 0, maxErr: 0, hist: new Array(size).fill(0) },
+  };
+}
+
+/**
+ * 各センサーの実際の読み取り角度を決定
+ * 取り付けずれ + 正規分布ジッタ（両ディスクで同じ角度を使い公平に比較する）
+ * @param {number} angle - 理想的な読み取り角度（度）
+ * @param {number[]} offsets - センサーごとのずれ（度）
+ * @param {number} jitter - ジッタの標準偏差（度）
+ * @param {function(): number} rng - 乱数生成器
+ * @returns {number[]} センサーごとの読み取り角度（0-360）
+ */
+function sampleSensorAngles(angle, offsets, jitter, rng) {
+  return offsets.map(off => {
+    const a = angle + off + (jitter > 0 ? randNormal(rng) * jitter : 0);
+    return ((a % 360) + 360) % 360;
+  });
+}
+
+/**
+ * センサーごとに異なる角度でディスクを読み取る
+ * リングk（外側=MSB）の値は、センサーkが位置するセクターのコードのビットになる
+ * セクター数が2のべき乗でない場合、どのセクターにもないコードを読むことがある（decoded=-1）
+ * @param {number[]} angles - センサーごとの読み取り角度
+ * @param {object} dc - ディスクのコード表
+ * @param {boolean} isGray - グレイコード=true, バイナリ=false
+ * @returns {{code: number, decoded: number}} 読み取ったコードとデコード値（セクター番号、無効コードは-1）
+ */
+function readDiscAt(angles, dc, isGray) {
+  const { bits } = dc;
+  const codes = isGray ? dc.gray : dc.bin;
+  let code = 0;
+  for (let k = 0; k < bits; k++) {
+    const s = sectorFromAngle(angles[k], dc.sectors);
+    code |= codes[s] & (1 << (bits - 1 - k));
+  }
+  const decoded = (isGray ? dc.grayIndex : dc.binIndex).get(code);
+  return { code, decoded: decoded === undefined ? -1 : decoded };
+}
+
+/**
+ * 円周上のセクター距離
+ * @param {number} a - セクター番号
+ * @param {number} b - セクター番号
+ * @param {number} sectors - セクター総数
+ * @returns {number} 最短距離
+ */
+function sectorDistance(a, b, sectors) {
+  const d = Math.abs(a - b) % sectors;
+  return Math.min(d, sectors - d);
+}
+
+/**
+ * センサー経由で両ディスクを1回読み取り、統計に加算
+ * 無効コードは誤読として数え、距離のヒストグラムには含めない
+ * @param {object} dc - ディスクのコード表
+ */
+function takeSensorReading(dc) {
+  const truth = sectorFromAngle(currentAngle, dc.sectors);
+  const angles = sampleSensorAngles(currentAngle, sensorState.offsets, sensorState.jitter, sensorState.rng);
+  const gray = readDiscAt(angles, dc, true);
+  const bin = readDiscAt(angles, dc, false);
+  const st = sensorState.stats;
+
+  sensorState.last = { truth, gray, bin };
+  st.reads++;
+  [['gray', gray], ['bin', bin]].forEach(([key, r]) => {
+    if (r.decoded < 0) {
+      st[key].errors++;
+      st[key].invalid++;
+      return;
+    }
+    const err = sectorDistance(r.decoded, truth, dc.sectors);
+    if (err > 0) st[key].errors++;
+    st[key].maxErr = Math.max(st[key].maxErr, err);
+    st[key].hist[err]++;
+  });
+}
+
+/**
+ * センサーずれ入力欄をビット数に合わせて再構築
+ * @param {number} bits - ビット数
+ */
+function buildSensorOffsetInputs(bits) {
+  const container = $('sensorOffsets');
+  container.innerHTML = '';
+  sensorState.offsets = Array.from({ length: bits }, (_, k) => sensorState.offsets[k] || 0);
+
+  for (let k = 0; k < bits; k++) {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+
+    const label = document.createElement('label');
+    label.textContent = `b${bits - 1 - k}${k === 0 ? '（外側）' : ''}`;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(-SENSOR_MAX_OFFSET);
+    input.max = String(SENSOR_MAX_OFFSET);
+    input.step = '0.5';
+    input.value = String(sensorState.offsets[k]);
+    input.addEventListener('change', () => {
+      const v = parseFloat(input.value);
+      sensorState.offsets[k] = isFinite(v) ? Math.max(-SENSOR_MAX_OFFSET, Math.min(SENSOR_MAX_OFFSET, v)) : 0;
+      input.value = String(sensorState.offsets[k]);
+      resetSensorStats(currentDiscCode().sectors);
+      renderDiscAll();
+    });
+
+    const unit = document.createElement('span');
+    unit.className = 'muted s';
+    unit.textContent = '°';
+
+    row.append(label, input, unit);
+    container.appendChild(row);
+  }
+}
+
+/**
+ * 誤差ヒストグラムの描画（Gray / Binary を並べた棒グラフ）
+ */
+function drawSensorHistogram() {
+  const canvas = $('sensorHist');
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const st = sensorState.stats;
+  ctx.clearRect(0, 0, W, H);
+  if (!st || st.reads === 0) return;
+
+  const fg = getCSSVar('fg');
+  const grayColor = getCSSVar('canvas-accent');
+  const binColor = getCSSVar('canvas-error');
+  const size = st.gray.hist.length;
+  const margin = 24;
+  const slot = (W - margin * 2) / size;
+  const maxCount = Math.max(1, ...st.gray.hist, ...st.bin.hist);
+
+  // 対数スケール（誤差0が大半を占めても大きな誤差が見えるように）
+  const h = (c) => (c ? (Math.log10(c + 1) / Math.log10(maxCount + 1)) * (H - margin * 2) : 0);
+
+  for (let e = 0; e < size; e++) {
+    const x = margin + e * slot;
+    const bw = Math.max(1, slot / 2 - 1);
+    ctx.fillStyle = grayColor;
+    ctx.fillRect(x, H - margin - h(st.gray.hist[e]), bw, h(st.gray.hist[e]));
+    ctx.fillStyle = binColor;
+    ctx.fillRect(x + bw + 1, H - margin - h(st.bin.hist[e]), bw, h(st.bin.hist[e]));
+  }
+
+  // 凡例
+  ctx.font = '11px monospace';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = grayColor;
+  ctx.fillRect(margin, 5, 10, 10);
+  ctx.fillStyle = binColor;
+  ctx.fillRect(margin + 60, 5, 10, 10);
+  ctx.fillStyle = fg;
+  ctx.fillText('Gray', margin + 14, 14);
+  ctx.fillText('Binary', margin + 74, 14);
+  ctx.fillText('誤差（セクター、対数目盛）', margin + 130, 14);
+  ctx.fillText('0', margin, H - 8);
+  ctx.textAlign = 'right';
+  ctx.fillText(String(size - 1), W - margin, H - 8);
+}
+
+/**
+ * センサー誤差シミュレーションの表示更新
+ * @param {object} dc - ディスクのコード表
+ */
+function renderSensorPanel(dc) {
+  const { bits } = dc;
+  const st = sensorState.stats;
+  const last = sensorState.last;
+  const pct = (x) => (st.reads ? (100 * x / st.reads).toFixed(1) : '0.0');
+  const errText = (s) => `${s.errors}（${pct(s.errors)}%）/ 最大${s.maxErr}${s.invalid ? ` / 無効${s.invalid}` : ''}`;
+  const decodedText = (r) => (r.decoded < 0 ? '無効' : String(r.decoded));
+
+  $('sensorReads').textContent = String(st.reads);
+  $('sensorGrayErr').textContent = errText(st.gray);
+  $('sensorBinErr').textContent = errText(st.bin);
+  $('sensorLast').textContent = last
+    ? `真値${last.truth} → Gray ${pad(last.gray.code, bits)}=${decodedText(last.gray)} / Binary ${pad(last.bin.code, bits)}=${decodedText(last.bin)}`
+    : '—';
+  drawSensorHistogram();
+}
+
+// ==========================================
+// センサー誤差シミュレーション - イベントリスナー
+// ==========================================
+
+$('sensorMode').addEventListener('change', e => {
+  sensorState.enabled = e.target.checked;
+  $('sensorControls').classList.toggle('hidden', !sensorState.enabled);
+  $('sensorPanel').classList.toggle('hidden', !sensorState.enabled);
+  renderDiscAll();
+});
+
+$('sensorJitter').addEventListener('input', e => {
+  sensorState.jitter = parseFloat(e.target.value) || 0;
+  $('sensorJitterValue').textContent = e.target.value;
+});
+
+$('sensorSeed').addEventListener('change', e => {
+  const v = parseInt(e.target.value, 10);
+  sensorState.seed = isFinite(v) ? v >>> 0 : 1;
+  e.target.value = String(sensorState.seed);
+  resetSensorStats(currentDiscCode().sectors);
+  renderDiscAll();
+});
+
+// シードから取り付けずれをランダム配置（±最大値の一様分布）
+$('sensorRandomize').addEventListener('click', () => {
+  const { bits, sectors } = currentDiscCode();
+  const maxOffset = Math.max(0, Math.min(SENSOR_MAX_OFFSET, parseFloat($('sensorMaxOffset').value) || 0));
+  const rng = createRng(sensorState.seed);
+  sensorState.offsets = Array.from({ length: bits }, () => Math.round((rng() * 2 - 1) * maxOffset * 10) / 10);
+  buildSensorOffsetInputs(bits);
+  resetSensorStats(sectors);
+  renderDiscAll();
+});
+
+$('sensorResetStats').addEventListener('click', () => {
+  resetSensorStats(currentDiscCode().sectors);
+  renderDiscAll();
+});
+
+// ==========================================
+// エンコーダーディスク - インクリメンタル（A/B相）モード
+// ==========================================
+
+const QUAD_HISTORY = 240;        // 波形表示に残すサンプル数
+const QUAD_MAX_SAMPLES = 20000;  // 1回の更新で処理する最大サンプル数（DoS対策）
+
+let discMode = 'absolute'; // 'absolute' | 'quadrature' | 'singletrack'
+
+// インクリメンタルエンコーダーのデコーダー状態
+const quadState = {
+  ppr: 16,          // 1回転あたりのパルス数
+  rate: 200,        // サンプリング周波数（Hz）
+  time: 0,          // シミュレーション時刻（ms）
+  nextSample: 0,    // 次のサンプリング時刻（ms）
+  speed: 0,         // 直近の回転速度（度/秒）
+  prevAB: null,     // 前回サンプルの (B,A) 2ビット
+  prevZ: 0,
+  position: 0,      // 位置カウント（4逓倍）
+  direction: 0,     // +1 / -1 / 0
+  illegal: 0,       // 2ビット同時変化（取りこぼし）の回数
+  indexCount: 0,
+  history: [],
+};
+
+/**
+ * ディスク角度からA/B/Z相の信号を求める
+ * B相はA相より90°（電気角）遅れ、Z相は1回転に1回だけ1/4周期幅で出力される
+ * @param {number} angle - ディスク上の角度（度）
+ * @param {number} ppr - 1回転あたりのパルス数
+ * @returns {{a: number, b: number, z: number}} 各相の値
+ */
+function quadSignals(angle, ppr) {
+  const frac = (x) => x - Math.floor(x);
+  const phase = (angle * ppr) / 360;
+  const norm = ((angle % 360) + 360) % 360;
+  return {
+    a: frac(phase) < 0.5 ? 1 : 0,
+    b: frac(phase - 0.25) < 0.5 ? 1 : 0,
+    z: norm < 360 / (4 * ppr) ? 1 : 0,
+  };
+}
+
+/**
+ * デコーダーのリセット（現在角度の状態を初期値にする）
+ */
+function resetQuadrature() {
+  const sig = quadSignals(currentAngle, quadState.ppr);
+  Object.assign(quadState, {
+    time: 0,
+    nextSample: 0,
+    speed: 0,
+    prevAB: (sig.b << 1) | sig.a,
+    prevZ: sig.z,
+    position: 0,
+    direction: 0,
+    illegal: 0,
+    indexCount: 0,
+    history: [],
+  });
+}
+
+/**
+ * 1サンプル分のデコード
+ * (B,A) は 00→01→11→10 と変化するグレイコードなので、grayToBinで0〜3の位相に直して差を取る
+ * hdistが2（両ビット同時変化）の場合は方向が判定できないため取りこぼしとして数える
+ * @param {number} angle - サンプル時点のディスク角度（度）
+ */
+function quadSample(angle) {
+  const q = quadState;
+  const sig = quadSignals(angle, q.ppr);
+  const ab = (sig.b << 1) | sig.a;
+  let err = false;
+
+  if (ab !== q.prevAB) {
+    if (hdist(q.prevAB, ab) === 2) {
+      q.illegal++;
+      err = true;
+    } else {
+      const step = (grayToBin(ab) - grayToBin(q.prevAB) + 4) % 4 === 1 ? 1 : -1;
+      q.position += step;
+      q.direction = step;
+    }
+  }
+
+  // インデックス（Z相）の立ち上がり
+  if (sig.z && !q.prevZ) {
+    q.indexCount++;
+    if ($('quadIndexReset').checked) q.position = 0;
+  }
+
+  q.prevAB = ab;
+  q.prevZ = sig.z;
+  q.history.push({ a: sig.a, b: sig.b, z: sig.z, err });
+  if (q.history.length > QUAD_HISTORY) q.history.shift();
+}
+
+/**
+ * 回転に合わせてデコーダーをサンプリング
+ * dtを指定した場合はサンプリング周波数に従って時刻を進め、区間内の角度を線形補間する
+ * dt=null（ボタン操作）の場合は取りこぼしが起きない細かさでサンプリングする
+ * @param {number} startAngle - 移動前の角度（度）
+ * @param {number} delta - 移動量（度、符号付き）
+ * @param {number|null} dt - 経過時間（ms）
+ */
+function updateQuadrature(startAngle, delta, dt) {
+  const q = quadState;
+  const period = 1000 / q.rate;
+
+  if (dt == null) {
+    const half = 360 / (8 * q.ppr);
+    const count = Math.min(QUAD_MAX_SAMPLES, Math.max(1, Math.ceil(Math.abs(delta) / half)));
+    for (let i = 1; i <= count; i++) quadSample(startAngle + (delta * i) / count);
+    q.nextSample = q.time + period;
+    return;
+  }
+
+  const t1 = q.time + dt;
+  let count = 0;
+  while (q.nextSample <= t1 && count < QUAD_MAX_SAMPLES) {
+    quadSample(startAngle + (delta * (q.nextSample - q.time)) / dt);
+    q.nextSample += period;
+    count++;
+  }
+  if (q.nextSample <= t1) q.nextSample = t1 + period;
+  q.time = t1;
+  q.speed = dt > 0 ? (Math.abs(delta) / dt) * 1000 : 0;
+}
+
+/**
+ * インクリメンタルディスクの描画
+ * 外側からA相・B相・インデックス（Z相）の3トラック
+ * @param {string} canvasId - Canvas要素のID
+ * @param {number} rotationAngle - 回転角度（度）
+ */
+function drawQuadratureDisc(canvasId, rotationAngle) {
+  const canvas = $(canvasId);
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const cx = W / 2, cy = H / 2;
+  const ppr = quadState.ppr;
+
+  ctx.clearRect(0, 0, W, H);
+
+  const bit1Color = getCSSVar('canvas-bit-1');
+  const bit0Color = getCSSVar('canvas-bit-0');
+  const accentColor = getCSSVar('canvas-accent');
+  const borderColor = getCSSVar('canvas-border');
+  const errorColor = getCSSVar('canvas-error');
+
+  const rOuter = Math.min(W, H) / 2 - 20;
+  const ringGap = 6;
+  const ringWidth = 36;
+  const segments = 4 * ppr; // 1/4周期ごとに区切る
+  const segAngle = 360 / segments;
+  const rotationRad = (rotationAngle * Math.PI) / 180;
+  const tracks = ['a', 'b', 'z'];
+
+  tracks.forEach((track, k) => {
+    const r1 = rOuter - k * (ringWidth + ringGap);
+    const r0 = r1 - ringWidth;
+
+    for (let s = 0; s < segments; s++) {
+      const bit = quadSignals((s + 0.5) * segAngle, ppr)[track];
+      const a0 = ((s * segAngle) * Math.PI) / 180 - Math.PI / 2 - rotationRad;
+      const a1 = (((s + 1) * segAngle) * Math.PI) / 180 - Math.PI / 2 - rotationRad;
+
+      ctx.beginPath();
+      ctx.moveTo(cx + r0 * Math.cos(a0), cy + r0 * Math.sin(a0));
+      ctx.arc(cx, cy, r0, a0, a1);
+      ctx.lineTo(cx + r1 * Math.cos(a1), cy + r1 * Math.sin(a1));
+      ctx.arc(cx, cy, r1, a1, a0, true);
+      ctx.closePath();
+      ctx.fillStyle = bit ? bit1Color : bit0Color;
+      ctx.fill();
+      ctx.strokeStyle = borderColor;
+      ctx.lineWidth = 0.5;
+      ctx.stroke();
+    }
+
+    // トラック名
+    ctx.fillStyle = accentColor;
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(track.toUpperCase(), cx + 6, cy - (r0 + r1) / 2);
+  });
+
+  // 中心マーカー
+  ctx.strokeStyle = accentColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(cx, cy, 3, 0, Math.PI * 2);
+  ctx.stroke();
+
+  // 読み取り線（上向き）
+  ctx.strokeStyle = errorColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(cx, cy);
+  ctx.lineTo(cx, cy - rOuter);
+  ctx.stroke();
+}
+
+/**
+ * A/B/Z相の波形描画（直近のサンプル履歴、取りこぼしは赤線で表示）
+ */
+function drawQuadratureWave() {
+  const canvas = $('quadWave');
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const hist = quadState.history;
+  ctx.clearRect(0, 0, W, H);
+
+  const fg = getCSSVar('fg');
+  const accent = getCSSVar('canvas-accent');
+  const errorColor = getCSSVar('canvas-error');
+  const left = 28;
+  const laneH = (H - 20) / 3;
+  const dx = (W - left - 8) / QUAD_HISTORY;
+
+  ctx.font = '12px monospace';
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+
+  // 取りこぼし位置
+  ctx.strokeStyle = errorColor;
+  ctx.lineWidth = 1;
+  hist.forEach((h, i) => {
+    if (!h.err) return;
+    const x = left + i * dx;
+    ctx.beginPath();
+    ctx.moveTo(x, 4);
+    ctx.lineTo(x, H - 4);
+    ctx.stroke();
+  });
+
+  ['a', 'b', 'z'].forEach((track, k) => {
+    const yHigh = 10 + k * laneH + 6;
+    const yLow = 10 + (k + 1) * laneH - 6;
+    ctx.fillStyle = fg;
+    ctx.fillText(track.toUpperCase(), 6, (yHigh + yLow) / 2);
+
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    hist.forEach((h, i) => {
+      const x = left + i * dx;
+      const y = h[track] ? yHigh : yLow;
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, hist[i - 1][track] ? yHigh : yLow);
+        ctx.lineTo(x, y);
+      }
+      ctx.lineTo(x + dx, y);
+    });
+    ctx.stroke();
+  });
+}
+
+/**
+ * インクリメンタルモードの表示更新
+ */
+function renderQuadrature() {
+  const q = quadState;
+  const sig = quadSignals(currentAngle, q.ppr);
+  const limit = q.rate * (360 / (4 * q.ppr)); // 1サンプルあたり1/4周期未満なら取りこぼしなし
+
+  drawQuadratureDisc('disc', currentAngle);
+  drawQuadratureWave();
+
+  $('quadAB').textContent = `${sig.a} / ${sig.b} / ${sig.z}`;
+  $('quadPos').textContent = `${q.position}（${(q.position / (4 * q.ppr)).toFixed(2)}回転）`;
+  $('quadDir').textContent = q.direction > 0 ? '＋（正転）' : q.direction < 0 ? '－（逆転）' : '—';
+  $('quadIllegal').textContent = String(q.illegal);
+  $('quadIndex').textContent = String(q.indexCount);
+  $('quadSpeed').textContent =
+    `角度 ${currentAngle.toFixed(1)}° / 回転速度 ${q.speed.toFixed(0)}°/s / 取りこぼしなしの上限 ≈ ${limit.toFixed(0)}°/s`;
+}
+
+// ==========================================
+// インクリメンタルモード - イベントリスナー
+// ==========================================
+
+$('discMode').addEventListener('change', e => {
+  discMode = ['quadrature', 'singletrack'].includes(e.target.value) ? e.target.value : 'absolute';
+  $('panel-disc').dataset.mode = discMode;
+  $('discTitle').textContent = {
+    absolute: 'グレイコードディスク',
+    quadrature: 'インクリメンタルディスク（A/B/Z相）',
+    singletrack: 'シングルトラックディスク',
+  }[discMode];
+  resetQuadrature();
+  renderDiscAll();
+});
+
+$('quadPpr').addEventListener('change', e => {
+  const v = parseInt(e.target.value, 10);
+  quadState.ppr = isFinite(v) ? Math.max(4, Math.min(64, v)) : 16;
+  e.target.value = String(quadState.ppr);
+  resetQuadrature();
+  renderDiscAll();
+});
+
+$('quadRate').addEventListener('input', e => {
+  quadState.rate = Math.max(10, Math.min(2000, parseInt(e.target.value, 10) || 200));
+  $('quadRateValue').textContent = String(quadState.rate);
+  quadState.nextSample = quadState.time + 1000 / quadState.rate;
+  renderDiscAll();
+});
+
+$('quadReset').addEventListener('click', () => {
+  resetQuadrature();
+  renderDiscAll();
+});
+
+// ==========================================
+// エンコーダーディスク - シングルトラックモード
+// ==========================================
+
+/**
+ * シングルトラックグレイコードの定義
+ * 1本のトラックを、360/センサー数 度ずつずらして等間隔に置いたセンサーで読み取る。
+ * 隣接位置で1ビットだけ変化するには、トラックの変化点が「位置 mod (周期/センサー数)」の
+ * 各剰余類にちょうど1つずつ必要になる（Hiltgen・Paterson・Brandestini の等間隔ヘッド構成）。
+ * 下のパターンはこの条件を満たし、かつ全位置のコードが異なるものを探索して求めた
+ */
+const SINGLE_TRACK_CODES = {
+  st5: {
+    label: '5センサー / 30位置',
+    sensors: 5,
+    track: '000000111111111100011000001110',
+  },
+  st9: {
+    label: '9センサー / 360位置（1°分解能）',
+    sensors: 9,
+    track: [
+      '0000000011111000000011111111111111000011',
+      '1111111111111111110000000000000000000000',
+      '0011111111111110000110000001111111110001',
+      '1111111000111100111111111111111111111111',
+      '1111111111110000000000111111110000011111',
+      '1111000000000000011111110000000000000111',
+      '1001110000000000000000000011000111111111',
+      '1111100001100000000000000000011100000000',
+      '1111111111111111111111100111111110000000',
+    ].join(''),
+  },
+};
+
+// シングルトラックモードの状態
+const singleTrackState = {
+  key: 'st9',  // 選択中のシングルトラックコード
+  code: null,  // 生成済みのコード表（選択が変わったときだけ作り直す）
+};
+
+/**
+ * シングルトラックコードのコード表を生成
+ * 位置 i のコードは、センサーk（k=0がMSB、読み取り線の位置）が読むトラックの値 track[i + k × 間隔]
+ * @param {object} def - SINGLE_TRACK_CODES の定義
+ * @returns {object} コード表（sensors, period, spacing, track[], codes[], 逆引きMap, 検証結果）
+ */
+function buildSingleTrackCode(def) {
+  const period = def.track.length;
+  const spacing = period / def.sensors;
+  const track = Array.from(def.track, c => (c === '1' ? 1 : 0));
+  const codes = Array.from({ length: period }, (_, i) => {
+    let code = 0;
+    for (let k = 0; k < def.sensors; k++) {
+      code = (code << 1) | track[(i + k * spacing) % period];
+    }
+    return code;
+  });
+  return {
+    sensors: def.sensors,
+    period,
+    spacing,
+    track,
+    codes,
+    index: new Map(codes.map((c, i) => [c, i])),
+    check: checkCodeSequence(codes, true),
+  };
+}
+
+/**
+ * 選択中のシングルトラックコードを取得
+ * @returns {object} buildSingleTrackCode のコード表
+ */
+function currentSingleTrack() {
+  const state = singleTrackState;
+  if (!state.code || state.code.key !== state.key) {
+    state.code = { key: state.key, ...buildSingleTrackCode(SINGLE_TRACK_CODES[state.key]) };
+  }
+  return state.code;
+}
+
+/**
+ * 各センサーでトラックを読み取り、コードを組み立ててデコード
+ * センサーkは読み取り線から時計回りに k × 360/センサー数 度の位置にある
+ * @param {object} st - シングルトラックのコード表
+ * @param {number} angle - ディスクの回転角度（度）
+ * @returns {{bits: number[], code: number, decoded: number}} センサーごとの値・コード・位置（無効は-1）
+ */
+function readSingleTrack(st, angle) {
+  const bits = [];
+  for (let k = 0; k < st.sensors; k++) {
+    const a = (angle + (k * 360) / st.sensors) % 360;
+    bits.push(st.track[sectorFromAngle(a, st.period)]);
+  }
+  const code = bits.reduce((acc, b) => (acc << 1) | b, 0);
+  const decoded = st.index.get(code);
+  return { bits, code, decoded: decoded === undefined ? -1 : decoded };
+}
+
+/**
+ * シングルトラックディスクの描画（1本のトラックと、等間隔に並んだセンサー）
+ * @param {string} canvasId - Canvas要素のID
+ * @param {object} st - シングルトラックのコード表
+ * @param {number} rotationAngle - 回転角度（度）
+ * @param {number[]} sensorBits - センサーごとの読み取り値
+ */
+function drawSingleTrackDisc(canvasId, st, rotationAngle, sensorBits) {
+  const canvas = $(canvasId);
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const cx = W / 2, cy = H / 2;
+
+  ctx.clearRect(0, 0, W, H);
+
+  const bit1Color = getCSSVar('canvas-bit-1');
+  const bit0Color = getCSSVar('canvas-bit-0');
+  const accentColor = getCSSVar('canvas-accent');
+  const borderColor = getCSSVar('canvas-border');
+  const errorColor = getCSSVar('canvas-error');
+
+  const rOuter = Math.min(W, H) / 2 - 28;
+  const ringWidth = 48;
+  const r0 = rOuter - ringWidth;
+  const rotationRad = (rotationAngle * Math.PI) / 180;
+
+  // トラック（位置数が多いので境界線は引かずに塗り分ける）
+  for (let s = 0; s < st.period; s++) {
+    const a0 = (s / st.period) * 2 * Math.PI - Math.PI / 2 - rotationRad;
+    const a1 = ((s + 1) / st.period) * 2 * Math.PI - Math.PI / 2 - rotationRad;
+    ctx.beginPath();
+    ctx.arc(cx, cy, rOuter, a0, a1);
+    ctx.arc(cx, cy, r0, a1, a0, true);
+    ctx.closePath();
+    ctx.fillStyle = st.track[s] ? bit1Color : bit0Color;
+    ctx.fill();
+  }
+  ctx.strokeStyle = borderColor;
+  ctx.lineWidth = 1;
+  [r0, rOuter].forEach(r => {
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+
+  // 中心マーカー
+  ctx.strokeStyle = accentColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(cx, cy, 3, 0, Math.PI * 2);
+  ctx.stroke();
+
+  // 読み取り線（上向き、センサー0）
+  ctx.strokeStyle = errorColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(cx, cy);
+  ctx.lineTo(cx, cy - rOuter);
+  ctx.stroke();
+
+  // センサー位置とその読み取り値
+  ctx.font = '12px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (let k = 0; k < st.sensors; k++) {
+    const a = (k / st.sensors) * 2 * Math.PI - Math.PI / 2;
+    const r = (r0 + rOuter) / 2;
+    ctx.beginPath();
+    ctx.arc(cx + r * Math.cos(a), cy + r * Math.sin(a), 6, 0, Math.PI * 2);
+    ctx.fillStyle = errorColor;
+    ctx.fill();
+    ctx.strokeStyle = bit1Color;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    const rl = rOuter + 14;
+    ctx.fillStyle = accentColor;
+    ctx.fillText(`s${k}=${sensorBits[k]}`, cx + rl * Math.cos(a), cy + rl * Math.sin(a));
+  }
+}
+
+/**
+ * シングルトラックモードの表示更新
+ */
+function renderSingleTrack() {
+  const st = currentSingleTrack();
+  const reading = readSingleTrack(st, currentAngle);
+  const truth = sectorFromAngle(currentAngle, st.period);
+
+  drawSingleTrackDisc('disc', st, currentAngle, reading.bits);
+
+  $('stAngle').textContent = `${currentAngle.toFixed(1)}°`;
+  $('stPos').textContent = `${truth} / ${st.period}`;
+  $('stCode').textContent = pad(reading.code, st.sensors);
+  $('stDecoded').textContent = reading.decoded < 0 ? '無効' : String(reading.decoded);
+
+  const { check } = st;
+  $('stCheck').textContent = check.ok
+    ? `検証OK: ${st.period}位置のコードはすべて異なり、末尾→先頭を含む全遷移が1ビット変化（${st.sensors}ビット中 ${st.period}/${1 << st.sensors} コードを使用）`
+    : `検証NG: 重複${check.unique ? 'なし' : 'あり'}、1ビット変化でない遷移 ${check.violations.length}箇所`;
+  $('stCheck').classList.toggle('error-text', !check.ok);
+  $('stSpacing').textContent =
+    `センサー間隔 ${(360 / st.sensors).toFixed(0)}°（${st.spacing}位置）/ 1位置 = ${(360 / st.period).toFixed(2)}°`;
+}
+
+$('stVariant').addEventListener('change', e => {
+  singleTrackState.key = Object.hasOwn(SINGLE_TRACK_CODES, e.target.value) ? e.target.value : 'st9';
+  e.target.value = singleTrackState.key;
+  renderDiscAll();
+});
+
+// ==========================================
+// エンコーダーディスク - 印刷用エクスポート（SVG / 印刷ページ）
+// ==========================================
+
+/**
+ * 数値をSVG座標用に丸める（mm単位、0.001mm精度）
+ * @param {number} v - 数値
+ * @returns {string} 文字列表現
+ */
+const mm = (v) => String(Math.round(v * 1000) / 1000);
+
+/**
+ * 印刷用エクスポートの設定を画面から取得・検証
+ * @returns {{opts: object}|{error: string}} 設定またはエラー
+ */
+function readPrintOptions() {
+  const num = (id) => parseFloat($(id).value);
+  const dc = currentDiscCode();
+  const bits = dc.bits;
+  const opts = {
+    bits,
+    sectors: dc.sectors,
+    isGray: $('printCode').value !== 'binary',
+    outerD: num('printOuter'),
+    innerD: num('printInner'),
+    gap: num('printGap'),
+    shaftD: num('printShaft'),
+    stripLength: num('printStripLength'),
+    trackHeight: num('printTrackHeight'),
+    index: $('printIndex').checked,
+    labels: $('printLabels').checked,
+  };
+
+  if (![opts.outerD, opts.innerD, opts.gap, opts.shaftD, opts.stripLength, opts.trackHeight].every(isFinite)) {
+    return { error: '寸法は数値で入力してください' };
+  }
+  if (opts.outerD <= 0 || opts.outerD > 1000) return { error: '外径は0〜1000mmで指定してください' };
+  if (opts.innerD <= 0 || opts.innerD >= opts.outerD) return { error: '内径は外径より小さくしてください' };
+  if (opts.shaftD < 0 || opts.shaftD >= opts.innerD) return { error: '軸穴径は内径より小さくしてください' };
+  if (opts.gap < 0) return { error: 'リング間隔は0以上にしてください' };
+  const ringWidth = ((opts.outerD - opts.innerD) / 2 - (bits - 1) * opts.gap) / bits;
+  if (ringWidth <= 0) return { error: 'リング幅が0以下になります。内径・間隔を見直してください' };
+  if (opts.stripLength <= 0 || opts.stripLength > 2000 || opts.trackHeight <= 0 || opts.trackHeight > 100) {
+    return { error: 'ストリップ寸法が範囲外です' };
+  }
+  opts.ringWidth = ringWidth;
+  opts.codeAt = (s) => (opts.isGray ? dc.gray[s] : dc.bin[s]);
+  return { opts };
+}
+
+/**
+ * 各トラックで1が連続する区間（ラン）を求める
+ * 円形ディスクでは末尾と先頭をつなげて1つのランとして扱う
+ * @param {function(number): number} codeAt - セクター番号からコード値を返す関数
+ * @param {number} sectors - セクター数
+ * @param {number} bit - 対象ビット位置
+ * @param {boolean} cyclic - 循環として扱うか
+ * @returns {Array<[number, number]>} [開始セクター, 長さ] の配列
+ */
+function bitRuns(codeAt, sectors, bit, cyclic) {
+  const on = (s) => (codeAt(((s % sectors) + sectors) % sectors) >> bit) & 1;
+  const runs = [];
+
+  // 循環の場合は0の位置から走査を始め、ランが境界で切れないようにする
+  let origin = 0;
+  if (cyclic) {
+    origin = Array.from({ length: sectors }, (_, s) => s).find(s => !on(s));
+    if (origin === undefined) return [[0, sectors]]; // 全周が1
+  }
+
+  let start = null;
+  for (let i = 0; i <= sectors; i++) {
+    const s = origin + i;
+    const v = i < sectors ? on(s) : 0;
+    if (v && start === null) start = s;
+    if (!v && start !== null) {
+      runs.push([start % sectors, s - start]);
+      start = null;
+    }
+  }
+  return runs;
+}
+
+/**
+ * 円環セクターのSVGパス（上向き0°・時計回り、単位mm）
+ * @param {number} cx - 中心X
+ * @param {number} cy - 中心Y
+ * @param {number} r0 - 内半径
+ * @param {number} r1 - 外半径
+ * @param {number} t0 - 開始角（度）
+ * @param {number} t1 - 終了角（度）
+ * @returns {string} path の d 属性
+ */
+function annularSectorPath(cx, cy, r0, r1, t0, t1) {
+  // 全周は半周ずつ2つに分けて描く（SVGの円弧は始点と終点が一致すると描けない）
+  if (t1 - t0 >= 360) {
+    return annularSectorPath(cx, cy, r0, r1, t0, t0 + 180) + ' ' + annularSectorPath(cx, cy, r0, r1, t0 + 180, t0 + 360);
+  }
+  const pt = (r, t) => {
+    const rad = (t * Math.PI) / 180;
+    return `${mm(cx + r * Math.sin(rad))} ${mm(cy - r * Math.cos(rad))}`;
+  };
+  const large = t1 - t0 > 180 ? 1 : 0;
+  return `M ${pt(r1, t0)} A ${mm(r1)} ${mm(r1)} 0 ${large} 1 ${pt(r1, t1)} ` +
+    `L ${pt(r0, t1)} A ${mm(r0)} ${mm(r0)} 0 ${large} 0 ${pt(r0, t0)} Z`;
+}
+
+/**
+ * 印刷用ディスクのSVGを生成（実寸mm）
+ * 1のセクターを黒で塗り、外周と軸穴はレーザーカット用の赤い細線で描く
+ * @param {object} opts - readPrintOptionsの設定
+ * @returns {string} SVG文字列
+ */
+function buildDiscSvg(opts) {
+  const { bits, sectors, codeAt, outerD, shaftD, gap, ringWidth, index, labels } = opts;
+  const R = outerD / 2;
+  const margin = labels ? 8 : (index ? 4 : 1);
+  const size = outerD + margin * 2;
+  const c = size / 2;
+  const step = 360 / sectors;
+  const parts = [];
+
+  for (let k = 0; k < bits; k++) {
+    const r1 = R - k * (ringWidth + gap);
+    const r0 = r1 - ringWidth;
+    const bit = bits - 1 - k; // 外側がMSB
+    bitRuns(codeAt, sectors, bit, true).forEach(([start, len]) => {
+      parts.push(`<path d="${annularSectorPath(c, c, r0, r1, start * step, (start + len) * step)}" fill="#000"/>`);
+    });
+  }
+
+  // カットライン（外周・軸穴）
+  parts.push(`<circle cx="${mm(c)}" cy="${mm(c)}" r="${mm(R)}" fill="none" stroke="#f00" stroke-width="0.1"/>`);
+  if (shaftD > 0) {
+    parts.push(`<circle cx="${mm(c)}" cy="${mm(c)}" r="${mm(shaftD / 2)}" fill="none" stroke="#f00" stroke-width="0.1"/>`);
+  }
+
+  // 中心の十字マーク
+  parts.push(`<path d="M ${mm(c - 1.5)} ${mm(c)} H ${mm(c + 1.5)} M ${mm(c)} ${mm(c - 1.5)} V ${mm(c + 1.5)}" stroke="#888" stroke-width="0.1"/>`);
+
+  // インデックスマーク（セクター0の開始位置）
+  if (index) {
+    parts.push(`<path d="M ${mm(c)} ${mm(c - R - 0.5)} L ${mm(c - 1.2)} ${mm(c - R - 3)} L ${mm(c + 1.2)} ${mm(c - R - 3)} Z" fill="#000"/>`);
+  }
+
+  // セクター番号と説明
+  if (labels) {
+    const font = Math.max(1, Math.min(3, (Math.PI * outerD / sectors) * 0.6));
+    if (font >= 1.2) {
+      for (let s = 0; s < sectors; s++) {
+        const t = ((s + 0.5) * step * Math.PI) / 180;
+        const r = R + 2 + font / 2;
+        parts.push(`<text x="${mm(c + r * Math.sin(t))}" y="${mm(c - r * Math.cos(t))}" font-size="${mm(font)}" ` +
+          `text-anchor="middle" dominant-baseline="central" font-family="monospace">${s}</text>`);
+      }
+    }
+    parts.push(`<text x="${mm(c)}" y="${mm(size - 1)}" font-size="2.5" text-anchor="middle" font-family="sans-serif">` +
+      `${opts.isGray ? 'Gray' : 'Binary'} ${bits}-bit ${sectors} sectors / OD ${mm(outerD)}mm / ID ${mm(opts.innerD)}mm</text>`);
+  }
+
+  return `<svg xmlns="${SVG_NS}" width="${mm(size)}mm" height="${mm(size)}mm" viewBox="0 0 ${mm(size)} ${mm(size)}">\n` +
+    parts.join('\n') + '\n</svg>\n';
+}
+
+/**
+ * 印刷用リニアエンコーダーストリップのSVGを生成（実寸mm）
+ * 上のトラックがMSB、左端がセクター0
+ * @param {object} opts - readPrintOptionsの設定
+ * @returns {string} SVG文字列
+ */
+function buildStripSvg(opts) {
+  const { bits, sectors, codeAt, stripLength, trackHeight, gap, index, labels } = opts;
+  const left = labels ? 8 : 1;
+  const top = index ? 4 : 1;
+  const bottom = labels ? 5 : 1;
+  const bodyH = bits * trackHeight + (bits - 1) * gap;
+  const W = left + stripLength + 1;
+  const H = top + bodyH + bottom;
+  const cell = stripLength / sectors;
+  const parts = [];
+
+  for (let k = 0; k < bits; k++) {
+    const y = top + k * (trackHeight + gap);
+    const bit = bits - 1 - k;
+    bitRuns(codeAt, sectors, bit, false).forEach(([start, len]) => {
+      parts.push(`<rect x="${mm(left + start * cell)}" y="${mm(y)}" width="${mm(len * cell)}" height="${mm(trackHeight)}" fill="#000"/>`);
+    });
+    if (labels) {
+      parts.push(`<text x="${mm(left - 1)}" y="${mm(y + trackHeight / 2)}" font-size="${mm(Math.min(3, trackHeight * 0.8))}" ` +
+        `text-anchor="end" dominant-baseline="central" font-family="monospace">b${bit}</text>`);
+    }
+  }
+
+  // カットライン（外形）
+  parts.push(`<rect x="${mm(left)}" y="${mm(top)}" width="${mm(stripLength)}" height="${mm(bodyH)}" fill="none" stroke="#f00" stroke-width="0.1"/>`);
+
+  if (index) {
+    parts.push(`<path d="M ${mm(left)} ${mm(top - 0.5)} L ${mm(left - 1.2)} ${mm(top - 3)} L ${mm(left + 1.2)} ${mm(top - 3)} Z" fill="#000"/>`);
+  }
+
+  if (labels) {
+    const font = Math.min(2.5, cell * 0.7);
+    if (font >= 1) {
+      for (let s = 0; s < sectors; s++) {
+        parts.push(`<text x="${mm(left + (s + 0.5) * cell)}" y="${mm(top + bodyH + 2.5)}" font-size="${mm(font)}" ` +
+          `text-anchor="middle" dominant-baseline="central" font-family="monospace">${s}</text>`);
+      }
+    }
+  }
+
+  return `<svg xmlns="${SVG_NS}" width="${mm(W)}mm" height="${mm(H)}mm" viewBox="0 0 ${mm(W)} ${mm(H)}">\n` +
+    parts.join('\n') + '\n</svg>\n';
+}
+
+/**
+ * SVGを印刷用領域に配置して印刷ダイアログを開く
+ * 印刷時は @media print でこの領域だけを実寸で出力する
+ * @param {string} svgText - SVG文字列
+ */
+function printSvg(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+  const area = $('printArea');
+  area.innerHTML = '';
+  area.appendChild(document.importNode(doc.documentElement, true));
+
+  document.body.classList.add('print-export');
+  window.addEventListener('afterprint', () => document.body.classList.remove('print-export'), { once: true });
+  window.print();
+}
+
+/**
+ * 印刷用エクスポートの実行
+ * @param {string} shape - 'disc' | 'strip'
+ * @param {string} action - 'svg' | 'print'
+ */
+function exportPrintable(shape, action) {
+  const result = readPrintOptions();
+  $('printError').textContent = result.error || '';
+  if (result.error) return;
+
+  const { opts } = result;
+  const svg = shape === 'strip' ? buildStripSvg(opts) : buildDiscSvg(opts);
+  if (action === 'print') {
+    printSvg(svg);
+  } else {
+    const name = `grayninja_${shape}_${opts.isGray ? 'gray' : 'binary'}_${opts.sectors}sectors.svg`;
+    downloadText(name, svg, 'image/svg+xml');
+  }
+}
+
+$('printDiscSvg').addEventListener('click', () => exportPrintable('disc', 'svg'));
+$('printDiscPage').addEventListener('click', () => exportPrintable('disc', 'print'));
+$('printStripSvg').addEventListener('click', () => exportPrintable('strip', 'svg'));
+$('printStripPage').addEventListener('click', () => exportPrintable('strip', 'print'));
+
+// ==========================================
+// 変換タブ（Convert）
+// ==========================================
+
+const MAX_CONVERT_BITS = 512;   // 変換可能な最大ビット長（DoS対策）
+const STEP_DETAIL_BITS = 16;    // これを超える長さは計算過程をブロック単位で表示
+const STEP_BLOCK_BITS = 8;      // ブロック表示時の1ブロックのビット数
+
+/** 基数ごとの表示名と接頭辞 */
+const BASE_INFO = {
+  2: { name: '2進数', prefix: '0b', pattern: /^[01]+$/ },
+  8: { name: '8進数', prefix: '0o', pattern: /^[0-7]+$/ },
+  10: { name: '10進数', prefix: '', pattern: /^[0-9]+$/ },
+  16: { name: '16進数', prefix: '0x', pattern: /^[0-9a-f]+$/ },
+};
+
+/**
+ * 変換入力の解析（基数指定・ビット幅調整付き）
+ * - base='auto' の場合は接頭辞（0x/0o/0b）で判定し、接頭辞なしは10進（関数電卓と同じ）
+ * - 基数を指定した場合は、その基数自身の接頭辞だけを取り除く（16進の 0b12 は数字として読む）
+ * - 区切り文字として空白と '_' を許可
+ * - width>0 の場合は N ビットにゼロ埋め、または上位ビットを切り捨て
+ * @param {string} input - 入力文字列
+ * @param {string|number} base - 'auto' / 2 / 8 / 10 / 16
+ * @param {number} width - 固定ビット幅（0=自動）
+ * @returns {{value: bigint, width: number, base: number, note: string}|{error: string}} 解析結果
+ */
+function parseConvertInput(input, base = 'auto', width = 0) {
+  if (typeof input !== 'string') return { error: '入力が不正です' };
+
+  let s = input.trim().toLowerCase().replace(/[\s_]/g, '');
+  if (!s) return { error: '値を入力してください' };
+  if (s.startsWith('-')) return { error: '負の値は扱えません' };
+
+  // 基数の決定（自動判定では接頭辞のない値は10進。桁の並びから2進と推測すると 10 が 2 になる）
+  const auto = base === 'auto';
+  let b = auto ? 0 : Number(base);
+  const prefixMatch = s.match(/^0([xob])/);
+  if (prefixMatch) {
+    const prefixBase = { x: 16, o: 8, b: 2 }[prefixMatch[1]];
+    if (auto || b === prefixBase) {
+      b = prefixBase;
+      s = s.slice(2);
+      if (!s) return { error: '接頭辞の後に数字がありません' };
+    }
+  }
+  if (!b) b = 10;
+
+  const info = BASE_INFO[b];
+  if (!info) return { error: '未対応の基数です' };
+  if (!info.pattern.test(s)) {
+    const bad = s.split('').find(ch => !info.pattern.test(ch));
+    const hint = auto && BASE_INFO[16].pattern.test(s) ? '（16進は 0x、2進は 0b を付けてください）' : '';
+    return { error: `${info.name}として解釈できない文字 "${bad}" が含まれています${hint}` };
+  }
+
+  // 桁数からの概算でDoS対策（BigInt生成前に拒否）
+  const bitsPerDigit = { 2: 1, 8: 3, 10: Math.log2(10), 16: 4 }[b];
+  if (s.length * bitsPerDigit > MAX_CONVERT_BITS + bitsPerDigit) {
+    return { error: `最大${MAX_CONVERT_BITS}ビットまで変換できます` };
+  }
+
+  const value = BigInt((info.prefix || '') + s);
+  const valueBits = value.toString(2).length;
+
+  // 自然なビット幅: 2/8/16進は桁数から、10進は値のビット長
+  let natural = b === 10 ? valueBits : s.length * bitsPerDigit;
+  if (natural > MAX_CONVERT_BITS) {
+    if (valueBits > MAX_CONVERT_BITS) {
+      return { error: `最大${MAX_CONVERT_BITS}ビットまで変換できます` };
+    }
+    natural = MAX_CONVERT_BITS;
+  }
+
+  if (!width) return { value, width: natural, base: b, note: '' };
+
+  if (width < 1 || width > MAX_CONVERT_BITS) {
+    return { error: `ビット幅は1〜${MAX_CONVERT_BITS}で指定してください` };
+  }
+  if (valueBits > width) {
+    const mask = (1n << BigInt(width)) - 1n;
+    return {
+      value: value & mask,
+      width,
+      base: b,
+      note: `${valueBits}ビットの値を下位${width}ビットに切り詰めました`
+    };
+  }
+  return { value, width, base: b, note: '' };
+}
+
+/**
+ * 列の値を接頭辞の判定用に正規化（parseConvertInput と同じく空白・_ を除いて小文字化）
+ * @param {string} v - 値
+ * @returns {string} 正規化した値
+ */
+const normalizeColumnValue = (v) => String(v).trim().toLowerCase().replace(/[\s_]/g, '');
+
+/**
+ * 列全体の基数を1つに決める（一括変換・シーケンス検証の自動判定）
+ * 行ごとに推測すると 10進の列の 10・11 だけが2進として読まれるため、接頭辞のない値をまとめて見て
+ * a〜f を含めば16進、2〜9 を含めば10進、0/1 だけなら2進とする。全行に接頭辞があれば各行の接頭辞に従う。
+ * 0〜7 だけの列は10進（または2進）と区別できないので、8進は自動判定せず 0o 接頭辞か基数の指定でのみ扱う。
+ * 接頭辞のある行は判定に使わず、columnRowBase で各行の接頭辞に従って読む
+ * @param {string[]} inputs - 列の値
+ * @returns {number|string} 2 / 10 / 16、または 'auto'
+ */
+function detectColumnBase(inputs) {
+  const plain = inputs
+    .map(normalizeColumnValue)
+    .filter(v => v && !/^0[xob]/.test(v));
+  if (!plain.length) return 'auto';
+  if (plain.some(v => /[a-f]/.test(v))) return 16;
+  if (plain.some(v => /[2-9]/.test(v))) return 10;
+  return 2;
+}
+
+/**
+ * 自動判定した列の基数を1行に適用する
+ * 0x/0o/0b の接頭辞がある行はその接頭辞で読み（'auto'）、接頭辞のない行だけ列の基数で読む
+ * @param {string} input - 行の値
+ * @param {number|string} columnBase - detectColumnBase の結果
+ * @returns {number|string} parseConvertInput に渡す基数
+ */
+function columnRowBase(input, columnBase) {
+  return /^0[xob]/.test(normalizeColumnValue(input)) ? 'auto' : columnBase;
+}
+
+/**
+ * 列の解釈方法の説明（一括変換・シーケンス検証の集計表示）
+ * @param {number|string} base - 列の基数（'auto' は全行が接頭辞付き）
+ * @param {boolean} detected - 自動判定で決めた基数なら true
+ * @returns {string} 説明
+ */
+function describeColumnBase(base, detected) {
+  if (base === 'auto') return '各行の接頭辞として解釈';
+  return `${detected ? '接頭辞のない行を' : ''}${BASE_INFO[base].name}として解釈`;
+}
+
+/**
+ * 値を指定基数の文字列に整形
+ * 2/8/16進はビット幅に合わせてゼロ埋めし、8/16進には接頭辞を付ける
+ * @param {bigint} value - 値
+ * @param {number} base - 2 / 8 / 10 / 16
+ * @param {number} width - ビット幅
+ * @returns {string} 整形済み文字列
+ */
+function formatBaseValue(value, base, width) {
+  switch (base) {
+    case 8:
+      return '0o' + value.toString(8).padStart(Math.ceil(width / 3), '0');
+    case 10:
+      return value.toString(10);
+    case 16:
+      return '0x' + value.toString(16).toUpperCase().padStart(Math.ceil(width / 4), '0');
+    default:
+      return padBig(value, width);
+  }
+}
+
+/**
+ * バイナリ/グレイコード相互変換（詳細版）
+ * @param {string} input - 入力文字列
+ * @param {boolean} toGray - true=グレイ変換, false=バイナリ変換
+ * @param {{inBase?: string|number, outBase?: number, width?: number}} options - 基数とビット幅
+ * @returns {{output: string, inputBits: string, outputBits: string, width: number, note: string}|{error: string}}
+ */
+function convertDetailed(input, toGray, options = {}) {
+  const { inBase = 2, outBase = 2, width = 0 } = options;
+  const parsed = parseConvertInput(input, inBase, width);
+  if (parsed.error) return parsed;
+
+  try {
+    const result = toGray ? binToGrayBig(parsed.value) : grayToBinBig(parsed.value);
+    return {
+      output: formatBaseValue(result, outBase, parsed.width),
+      inputBits: padBig(parsed.value, parsed.width),
+      outputBits: padBig(result, parsed.width),
+      width: parsed.width,
+      note: parsed.note
+    };
+  } catch (error) {
+    console.error('Conversion error:', error);
+    return { error: '変換中にエラーが発生しました' };
+  }
+}
+
+/**
+ * バイナリ/グレイコード相互変換（セキュリティ強化版）
+ * BigIntで計算するため、MAX_CONVERT_BITSまでの任意ビット長に対応
+ * @param {string} input - 入力文字列（既定は0/1のみ有効）
+ * @param {boolean} toGray - true=グレイ変換, false=バイナリ変換
+ * @param {object} options - 基数とビット幅（convertDetailed参照）
+ * @returns {string} 変換結果（不正入力時は '—'）
+ */
+function convert(input, toGray, options = {}) {
+  const result = convertDetailed(input, toGray, options);
+  return result.error ? '—' : result.output;
+}
+
+// ==========================================
+// 変換タブ - イベントリスナー
+// ==========================================
+
+/**
+ * Binary → Gray変換の計算過程を生成
+ * STEP_DETAIL_BITSを超える入力はブロック単位の過程に切り替える
+ */
+function generateBinaryToGraySteps(input) {
+  if (input.length > STEP_DETAIL_BITS) return generateBlockSteps(input, true);
+
+  const steps = [];
+  const bits = input.split('').map(b => parseInt(b));
+  const n = bits.length;
+
+  // ステップ0: 入力表示
+  steps.push({
+    header: `入力: バイナリ ${input}`,
+    calculation: `ビット列: ${bits.map((b, i) => `b${n-1-i}=${b}`).join(', ')}`,
+    result: ''
+  });
+
+  // 各ビットの計算
+  const result = [];
+  for (let i = 0; i < n; i++) {
+    if (i === 0) {
+      // 最上位ビット
+      result.push(bits[0]);
+      steps.push({
+        header: `ステップ${i+1}: 最上位ビット`,
+        calculation: `g${n-1} = b${n-1} = ${bits[0]}`,
+        result: `g${n-1} = ${bits[0]}`
+      });
+    } else {
+      // 他のビット
+      const xor = bits[i-1] ^ bits[i];
+      result.push(xor);
+      steps.push({
+        header: `ステップ${i+1}: ビット${n-1-i}`,
+        calculation: `g${n-1-i} = b${n-i} ⊕ b${n-1-i} = ${bits[i-1]} ⊕ ${bits[i]} = ${xor}`,
+        result: `g${n-1-i} = ${xor}`
+      });
+    }
+  }
+
+  // 最終結果
+  steps.push({
+    header: '最終結果',
+    calculation: `グレイコード: ${result.join('')}`,
+    result: `変換完了: ${input} → ${result.join('')}`
+  });
+
+  return steps;
+}
+
+/**
+ * Gray → Binary変換の計算過程を生成
+ * STEP_DETAIL_BITSを超える入力はブロック単位の過程に切り替える
+ */
+function generateGrayToBinarySteps(input) {
+  if (input.length > STEP_DETAIL_BITS) return generateBlockSteps(input, false);
+
+  const steps = [];
+  const bits = input.split('').map(b => parseInt(b));
+  const n = bits.length;
+
+  // ステップ0: 入力表示
+  steps.push({
+    header: `入力: グレイ ${input}`,
+    calculation: `ビット列: ${bits.map((b, i) => `g${n-1-i}=${b}`).join(', ')}`,
+    result: ''
+  });
+
+  // 各ビットの計算
+  const result = [];
+  for (let i = 0; i < n; i++) {
+    if (i === 0) {
+      // 最上位ビット
+      result.push(bits[0]);
+      steps.push({
+        header: `ステップ${i+1}: 最上位ビット`,
+        calculation: `b${n-1} = g${n-1} = ${bits[0]}`,
+        result: `b${n-1} = ${bits[0]}`
+      });
+    } else {
+      // 他のビット
+      const xor = result[i-1] ^ bits[i];
+      result.push(xor);
+      steps.push({
+        header: `ステップ${i+1}: ビット${n-1-i}`,
+        calculation: `b${n-1-i} = b${n-i} ⊕ g${n-1-i} = ${result[i-1]} ⊕ ${bits[i]} = ${xor}`,
+        result: `b${n-1-i} = ${xor}`
+      });
+    }
+  }
+
+  // 最終結果
+  steps.push({
+    header: '最終結果',
+    calculation: `バイナリコード: ${result.join('')}`,
+    result: `変換完了: ${input} → ${result.join('')}`
+  });
+
+  return steps;
+}
+
+/**
+ * 長いビット列向けの計算過程を生成（ブロック単位）
+ * 1ビットずつ数百ステップ並べる代わりに、STEP_BLOCK_BITSビットごとに
+ * 入力・シフト値（またはブロック間の引き継ぎビット）・結果をまとめて表示する
+ * @param {string} input - 0/1のみのビット文字列
+ * @param {boolean} toGray - true=Binary→Gray, false=Gray→Binary
+ * @returns {Array<{header: string, calculation: string, result: string}>} 計算過程
+ */
+function generateBlockSteps(input, toGray) {
+  const steps = [];
+  const n = input.length;
+  const output = toGray
+    ? padBig(binToGrayBig(BigInt('0b' + input)), n)
+    : padBig(grayToBinBig(BigInt('0b' + input)), n);
+
+  steps.push({
+    header: `入力: ${toGray ? 'バイナリ' : 'グレイ'} ${n}ビット`,
+    calculation: groupBits(input),
+    result: ''
+  });
+
+  if (toGray) {
+    // g = b ⊕ (b ≫ 1) を全体で一度に示す
+    const shifted = '0' + input.slice(0, -1);
+    steps.push({
+      header: '右シフト: b ≫ 1',
+      calculation: groupBits(shifted),
+      result: ''
+    });
+  }
+
+  // 上位ビット側から STEP_BLOCK_BITS ずつ区切る（端数は先頭ブロック）
+  const firstLen = n % STEP_BLOCK_BITS || STEP_BLOCK_BITS;
+  for (let start = 0; start < n; start = start === 0 ? firstLen : start + STEP_BLOCK_BITS) {
+    const end = start === 0 ? firstLen : start + STEP_BLOCK_BITS;
+    const hi = n - 1 - start;
+    const lo = n - end;
+    const inBlock = input.slice(start, end);
+    const outBlock = output.slice(start, end);
+
+    if (toGray) {
+      const shiftBlock = (start === 0 ? '0' : input[start - 1]) + input.slice(start, end - 1);
+      steps.push({
+        header: `ビット${hi}〜${lo}`,
+        calculation: `${inBlock} ⊕ ${shiftBlock}`,
+        result: `g${hi}..g${lo} = ${outBlock}`
+      });
+    } else {
+      // 前ブロックの最下位バイナリビットを累積XORの初期値として引き継ぐ
+      const from = start === 0 ? '初期値 0' : `b${hi + 1} = ${output[start - 1]}`;
+      steps.push({
+        header: `ビット${hi}〜${lo}`,
+        calculation: `${from} から累積XOR: g = ${inBlock}`,
+        result: `b${hi}..b${lo} = ${outBlock}`
+      });
+    }
+  }
+
+  steps.push({
+    header: '最終結果',
+    calculation: `${toGray ? 'グレイコード' : 'バイナリコード'}: ${groupBits(output)}`,
+    result: `変換完了: ${n}ビット`
+  });
+
+  return steps;
+}
+
+/**
+ * 計算過程をHTMLに表示（XSS対策済み）
+ */
+function displaySteps(steps, containerId) {
+  const container = $(containerId);
+  // 安全なDOM操作でXSS脆弱性を防止
+  container.innerHTML = ''; // 既存内容をクリア
+
+  steps.forEach(step => {
+    const stepDiv = document.createElement('div');
+    stepDiv.className = 'step';
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'step-header';
+    headerDiv.textContent = step.header; // XSS安全
+
+    const calcDiv = document.createElement('div');
+    calcDiv.className = 'step-calculation';
+    calcDiv.textContent = step.calculation; // XSS安全
+
+    stepDiv.appendChild(headerDiv);
+    stepDiv.appendChild(calcDiv);
+
+    if (step.result) {
+      const resultDiv = document.createElement('div');
+      resultDiv.className = 'step-result';
+      resultDiv.textContent = step.result; // XSS安全
+      stepDiv.appendChild(resultDiv);
+    }
+
+    container.appendChild(stepDiv);
+  });
+}
+
+/**
+ * 変換ボックスの実行と表示更新
+ * エラー時は '—' の代わりに理由を表示する
+ * @param {boolean} toGray - true=Binary→Gray, false=Gray→Binary
+ */
+function runConvertBox(toGray) {
+  const ids = toGray
+    ? { input: 'binIn', inBase: 'binInBase', outBase: 'grayOutBase', width: 'binWidth',
+        out: 'grayOut2', note: 'binToGrayNote', steps: 'binaryToGraySteps' }
+    : { input: 'grayIn', inBase: 'grayInBase', outBase: 'binOutBase', width: 'grayWidth',
+        out: 'binOut2', note: 'grayToBinNote', steps: 'grayToBinarySteps' };
+
+  const result = convertDetailed($(ids.input).value, toGray, {
+    inBase: $(ids.inBase).value,
+    outBase: parseInt($(ids.outBase).value, 10),
+    width: Math.max(0, parseInt($(ids.width).value, 10) || 0)
+  });
+
+  const out = $(ids.out);
+  out.parentElement.classList.toggle('error', !!result.error);
+  if (result.error) {
+    out.textContent = result.error;
+    $(ids.note).textContent = '';
+    return;
+  }
+
+  out.textContent = result.output;
+  const detail = `${result.width}ビット: ${groupBits(result.inputBits)} → ${groupBits(result.outputBits)}`;
+  $(ids.note).textContent = result.note ? `${detail}（${result.note}）` : detail;
+
+  const steps = toGray
+    ? generateBinaryToGraySteps(result.inputBits)
+    : generateGrayToBinarySteps(result.inputBits);
+  displaySteps(steps, ids.steps);
+}
+
+// Binary → Gray変換
+$('toGray').addEventListener('click', () => runConvertBox(true));
+
+// Gray → Binary変換
+$('toBin').addEventListener('click', () => runConvertBox(false));
+
+// 基数・ビット幅の変更で再変換
+['binInBase', 'grayOutBase', 'binWidth'].forEach(id => {
+  $(id).addEventListener('change', () => runConvertBox(true));
+});
+['grayInBase', 'binOutBase', 'grayWidth'].forEach(id => {
+  $(id).addEventListener('change', () => runConvertBox(false));
+});
+
+// Enterキーでの変換実行
+$('binIn').addEventListener('keypress', e => {
+  if (e.key === 'Enter') $('toGray').click();
+});
+
+$('grayIn').addEventListener('keypress', e => {
+  if (e.key === 'Enter') $('toBin').click();
+});
+
+// ==========================================
+// 変換タブ - N進グレイコード変換
+// ==========================================
+
+/**
+ * N進数字列の検証と桁配列への変換（セキュリティ強化版）
+ * 空白と _ は区切りとして無視し、10以上の桁は A〜F（大文字小文字可）で受け付ける
+ * @param {string} input - 入力文字列
+ * @param {number} radix - 基数（3〜16）
+ * @returns {{digits: number[]}|{error: string}} 桁配列またはエラー
+ */
+function parseNaryInput(input, radix) {
+  const text = String(input).trim().replace(/[\s_]/g, '');
+  if (!text) return { error: '入力が空です' };
+  if (text.length > MAX_NARY_DIGITS) return { error: `入力が長すぎます（最大${MAX_NARY_DIGITS}桁）` };
+
+  const digits = [];
+  for (const ch of text) {
+    const d = /^[0-9a-f]$/i.test(ch) ? parseInt(ch, 16) : NaN;
+    if (isNaN(d) || d >= radix) return { error: `「${ch}」は${radix}進の数字ではありません` };
+    digits.push(d);
+  }
+  return { digits };
+}
+
+/**
+ * N進グレイコード変換の計算過程を生成
+ * @param {number[]} digits - 入力の桁配列（先頭が最上位桁）
+ * @param {number} radix - 基数 k
+ * @param {string} kind - 'modular' | 'reflected'
+ * @param {boolean} toGray - true=k進→Gray, false=Gray→k進
+ * @returns {Array<{header: string, calculation: string, result: string}>} 計算過程
+ */
+function generateNarySteps(digits, radix, kind, toGray) {
+  const steps = [];
+  const n = digits.length;
+  const ch = (d) => d.toString(16).toUpperCase();
+  const inName = toGray ? 'b' : 'g';
+  const outName = toGray ? 'g' : 'b';
+  const output = toGray ? naryToGrayDigits(digits, radix, kind) : naryFromGrayDigits(digits, radix, kind);
+  const grayDigits = toGray ? output : digits;
+
+  steps.push({
+    header: `入力: ${toGray ? `${radix}進` : 'グレイ'} ${digits.map(ch).join('')}（${NARY_KINDS[kind]}）`,
+    calculation: `桁: ${digits.map((d, i) => `${inName}${n - 1 - i}=${ch(d)}`).join(', ')}`,
+    result: ''
+  });
+
+  let higherSum = 0; // 反射方式: 上位のグレイ桁の和
+  for (let i = 0; i < n; i++) {
+    const pos = n - 1 - i;
+    const d = digits[i];
+    const r = output[i];
+    let calculation;
+
+    if (i === 0) {
+      calculation = `${outName}${pos} = ${inName}${pos} = ${ch(d)}`;
+    } else if (kind === 'reflected') {
+      const odd = higherSum % 2 === 1;
+      calculation = `上位のグレイ桁の和 = ${higherSum}（${odd ? '奇数 → 反転' : '偶数 → そのまま'}）: ` +
+        (odd ? `${outName}${pos} = ${radix - 1} − ${inName}${pos} = ${radix - 1} − ${ch(d)} = ${ch(r)}`
+          : `${outName}${pos} = ${inName}${pos} = ${ch(d)}`);
+    } else if (toGray) {
+      calculation = `g${pos} = (b${pos} − b${pos + 1}) mod ${radix} = (${ch(d)} − ${ch(digits[i - 1])}) mod ${radix} = ${ch(r)}`;
+    } else {
+      calculation = `b${pos} = (g${pos} + b${pos + 1}) mod ${radix} = (${ch(d)} + ${ch(output[i - 1])}) mod ${radix} = ${ch(r)}`;
+    }
+
+    steps.push({
+      header: i === 0 ? `ステップ${i + 1}: 最上位桁` : `ステップ${i + 1}: 桁${pos}`,
+      calculation,
+      result: `${outName}${pos} = ${ch(r)}`
+    });
+    higherSum += grayDigits[i];
+  }
+
+  steps.push({
+    header: '最終結果',
+    calculation: `${toGray ? 'グレイコード' : `${radix}進`}: ${output.map(ch).join('')}`,
+    result: `変換完了: ${digits.map(ch).join('')} → ${output.map(ch).join('')}`
+  });
+
+  return steps;
+}
+
+/**
+ * N進変換ボックスの実行と表示更新
+ */
+function runNaryConvert() {
+  const radixVal = parseInt($('naryRadix').value, 10);
+  const radix = isFinite(radixVal) ? Math.max(3, Math.min(16, radixVal)) : 3;
+  $('naryRadix').value = String(radix);
+  const kind = Object.hasOwn(NARY_KINDS, $('naryConvKind').value) ? $('naryConvKind').value : 'modular';
+  const toGray = $('naryDir').value !== 'toNatural';
+
+  const parsed = parseNaryInput($('naryIn').value, radix);
+  const out = $('naryOut');
+  out.parentElement.classList.toggle('error', !!parsed.error);
+  if (parsed.error) {
+    out.textContent = parsed.error;
+    $('naryNote').textContent = '';
+    $('narySteps').innerHTML = '';
+    return;
+  }
+
+  const { digits } = parsed;
+  const output = toGray ? naryToGrayDigits(digits, radix, kind) : naryFromGrayDigits(digits, radix, kind);
+  const natural = toGray ? digits : output;
+  const index = natural.reduce((acc, d) => acc * BigInt(radix) + BigInt(d), 0n);
+
+  out.textContent = output.map(d => d.toString(16).toUpperCase()).join('');
+  $('naryNote').textContent = `${digits.length}桁・${radix}進: 系列中の位置 ${index}（10進）`;
+  displaySteps(generateNarySteps(digits, radix, kind, toGray), 'narySteps');
+}
+
+$('naryRun').addEventListener('click', runNaryConvert);
+['naryRadix', 'naryConvKind', 'naryDir'].forEach(id => $(id).addEventListener('change', runNaryConvert));
+$('naryIn').addEventListener('keypress', e => {
+  if (e.key === 'Enter') runNaryConvert();
+});
+
+// ==========================================
+// 変換タブ - Gray演算（2進に戻さずに計算）
+// ==========================================
+
+const GRAY_OPS = {
+  inc: 'インクリメント',
+  dec: 'デクリメント',
+  add: '加算',
+  cmp: '大小比較'
+};
+
+/**
+ * BigInt値のビット k を取り出す
+ * @param {bigint} x - 値
+ * @param {number} k - ビット位置
+ * @returns {number} 0 または 1
+ */
+const bitOfBig = (x, k) => Number((x >> BigInt(k)) & 1n);
+
+/**
+ * 1の個数の奇偶（偶数=0 / 奇数=1）
+ * @param {bigint} x - 値
+ * @returns {number} 奇偶
+ */
+function parityBig(x) {
+  let p = 0;
+  for (; x; x >>= 1n) p ^= Number(x & 1n);
+  return p;
+}
+
+/**
+ * Gray符号の ±1 の計算過程（奇偶による方法）
+ * +1: 1の個数が偶数なら g0 を反転、奇数なら最も下の1の1つ上のビットを反転
+ * −1: 奇偶の条件を逆にする。端（100…0 の +1、000…0 の −1）では最上位ビットを反転して循環する
+ * @param {bigint} g - Gray符号
+ * @param {number} width - ビット幅
+ * @param {boolean} up - true=インクリメント, false=デクリメント
+ * @returns {{value: bigint, steps: Array<{header: string, calculation: string, result: string}>}} 結果と計算過程
+ */
+function grayStepSteps(g, width, up) {
+  const steps = [];
+  const ones = g.toString(2).split('').filter(c => c === '1').length;
+  const p = ones % 2;
+
+  steps.push({
+    header: `入力: Gray ${groupBits(padBig(g, width))}（${width}ビット）`,
+    calculation: `1の個数 = ${ones} → 奇偶 ${p ? '奇数' : '偶数'}`,
+    result: ''
+  });
+
+  let flip;
+  let rule;
+  if (p === (up ? 0 : 1)) {
+    flip = 0;
+    rule = `奇偶が${p ? '奇数' : '偶数'}なので最下位ビット g0 を反転`;
+  } else if (g === 0n) {
+    flip = width - 1;
+    rule = `000…0 の1つ前は最後の符号語 100…0 なので最上位ビット g${flip} を反転（循環）`;
+  } else {
+    const lowest = g.toString(2).length - 1 - g.toString(2).lastIndexOf('1');
+    flip = lowest + 1;
+    if (flip === width) {
+      flip = width - 1;
+      rule = `最後の符号語 100…0 の次は 000…0 なので最上位ビット g${flip} を反転（循環）`;
+    } else {
+      rule = `奇偶が${p ? '奇数' : '偶数'}なので、最も下の1（ビット${lowest}）の1つ上のビット g${flip} を反転`;
+    }
+  }
+  const value = g ^ (1n << BigInt(flip));
+
+  steps.push({
+    header: `${up ? '+1' : '−1'} の規則`,
+    calculation: rule,
+    result: `g${flip}: ${bitOfBig(g, flip)} → ${bitOfBig(value, flip)}`
+  });
+  steps.push({
+    header: '最終結果',
+    calculation: `グレイコード: ${groupBits(padBig(value, width))}`,
+    result: `${groupBits(padBig(g, width))} ${up ? '+' : '−'} 1 → ${groupBits(padBig(value, width))}（1ビットだけ変化）`
+  });
+  return { value, steps };
+}
+
+/**
+ * Gray符号どうしの加算の計算過程（奇偶による桁上げ伝搬）
+ * ビット i の重み（2進のビット）は「全体の奇偶 ⊕ 下位のGrayビットの奇偶」で下位から順に求まるので、
+ * 下位から1ビットずつ全加算し、和のビット s から h_i = s_i ⊕ s_{i+1} で Gray に戻す
+ * @param {bigint} a - Gray A
+ * @param {bigint} b - Gray B
+ * @param {number} width - ビット幅（和は 2^width で循環）
+ * @returns {{value: bigint, carry: number, steps: Array<{header: string, calculation: string, result: string}>}} 結果と計算過程
+ */
+function grayAddSteps(a, b, width) {
+  const steps = [];
+  const pa = parityBig(a);
+  const pb = parityBig(b);
+  steps.push({
+    header: `入力: A = ${groupBits(padBig(a, width))}, B = ${groupBits(padBig(b, width))}`,
+    calculation: `全体の奇偶: P_A = ${pa}, P_B = ${pb}`,
+    result: ''
+  });
+
+  const detail = width <= STEP_DETAIL_BITS;
+  const sum = [];
+  const weightsA = [];
+  const weightsB = [];
+  let qa = 0;
+  let qb = 0;
+  let carry = 0;
+  for (let i = 0; i < width; i++) {
+    const ai = pa ^ qa;
+    const bi = pb ^ qb;
+    const total = ai + bi + carry;
+    const si = total & 1;
+    if (detail) {
+      steps.push({
+        header: `ビット${i}`,
+        calculation: `A: ${pa} ⊕ ${qa} = ${ai}, B: ${pb} ⊕ ${qb} = ${bi}（P ⊕ 下位のGrayビットの奇偶） / ${ai} + ${bi} + 桁上げ${carry} = ${total}`,
+        result: `s${i} = ${si}, 桁上げ ${total >> 1}`
+      });
+    }
+    sum.push(si);
+    weightsA.push(ai);
+    weightsB.push(bi);
+    carry = total >> 1;
+    qa ^= bitOfBig(a, i);
+    qb ^= bitOfBig(b, i);
+  }
+
+  const msbFirst = (bits) => bits.slice().reverse().join('');
+  if (!detail) {
+    steps.push({
+      header: '各ビットの重み（下位から奇偶を累積）',
+      calculation: `A: ${groupBits(msbFirst(weightsA))} / B: ${groupBits(msbFirst(weightsB))}`,
+      result: ''
+    });
+    steps.push({
+      header: '下位から全加算',
+      calculation: `s = ${groupBits(msbFirst(sum))}`,
+      result: `最上位からの桁上げ ${carry}`
+    });
+  }
+
+  let value = 0n;
+  for (let i = 0; i < width; i++) {
+    const hi = sum[i] ^ (i + 1 < width ? sum[i + 1] : 0);
+    if (hi) value |= 1n << BigInt(i);
+  }
+  steps.push({
+    header: 'Grayに戻す: h_i = s_i ⊕ s_{i+1}',
+    calculation: `${groupBits(msbFirst(sum))} ⊕ ${groupBits('0' + msbFirst(sum).slice(0, -1))}`,
+    result: `h = ${groupBits(padBig(value, width))}`
+  });
+  steps.push({
+    header: '最終結果',
+    calculation: `グレイコード: ${groupBits(padBig(value, width))}`,
+    result: carry
+      ? `A + B → ${groupBits(padBig(value, width))}（${width}ビットを超えたため 2^${width} で循環）`
+      : `A + B → ${groupBits(padBig(value, width))}`
+  });
+  return { value, carry, steps };
+}
+
+/**
+ * Gray符号どうしの大小比較の計算過程
+ * 上位から見て最初に異なるビットで、それより上の1の個数が偶数なら 1 の方が、奇数なら 0 の方が大きい
+ * @param {bigint} a - Gray A
+ * @param {bigint} b - Gray B
+ * @param {number} width - ビット幅
+ * @returns {{order: number, steps: Array<{header: string, calculation: string, result: string}>}} 比較結果（-1/0/1）と計算過程
+ */
+function grayCompareSteps(a, b, width) {
+  const steps = [];
+  steps.push({
+    header: `入力: A = ${groupBits(padBig(a, width))}, B = ${groupBits(padBig(b, width))}`,
+    calculation: `A ⊕ B = ${groupBits(padBig(a ^ b, width))}（1 のビットで異なる）`,
+    result: ''
+  });
+
+  if (a === b) {
+    steps.push({ header: '最終結果', calculation: '全ビットが一致', result: 'A = B' });
+    return { order: 0, steps };
+  }
+
+  const diff = (a ^ b).toString(2).length - 1;
+  const higher = a >> BigInt(diff + 1);
+  const p = parityBig(higher);
+  const aBit = bitOfBig(a, diff);
+  const order = (aBit ^ p) ? 1 : -1;
+
+  steps.push({
+    header: diff === width - 1
+      ? '最上位ビットから異なる'
+      : `上位のビット${diff + 1 === width - 1 ? width - 1 : `${width - 1}〜${diff + 1}`}は一致`,
+    calculation: diff === width - 1
+      ? '一致する上位ビットはありません（1の個数 0 → 偶数）'
+      : `共通部分 ${groupBits(padBig(higher, width - 1 - diff))} の1の個数 → 奇偶 ${p ? '奇数' : '偶数'}`,
+    result: ''
+  });
+  steps.push({
+    header: `ビット${diff}で初めて異なる: A = ${aBit}, B = ${aBit ^ 1}`,
+    calculation: p
+      ? '上位の奇偶が奇数（反射された半分の中）なので 0 の方が大きい'
+      : '上位の奇偶が偶数なので 1 の方が大きい',
+    result: order > 0 ? 'A > B' : 'A < B'
+  });
+  return { order, steps };
+}
+
+/**
+ * Gray演算ボックスの実行と表示更新
+ * 結果は grayToBin → 2進演算 → binToGray と照合する
+ */
+function runGrayArith() {
+  const op = Object.hasOwn(GRAY_OPS, $('grayOpKind').value) ? $('grayOpKind').value : 'inc';
+  const binary = op === 'add' || op === 'cmp';
+  const widthVal = Math.max(0, Math.min(MAX_CONVERT_BITS, parseInt($('grayOpWidth').value, 10) || 0));
+  $('grayOpWidth').value = String(widthVal);
+  $('grayOpB').disabled = !binary;
+
+  const out = $('grayOpOut');
+  const note = $('grayOpNote');
+  const fail = (message) => {
+    out.parentElement.classList.add('error');
+    out.textContent = message;
+    note.textContent = '';
+    note.classList.remove('error-text');
+    $('grayOpSteps').innerHTML = '';
+  };
+
+  const base = $('grayOpBase').value;
+  const parsedA = parseConvertInput($('grayOpA').value, base, widthVal);
+  if (parsedA.error) return fail(`A: ${parsedA.error}`);
+  const parsedB = binary ? parseConvertInput($('grayOpB').value, base, widthVal) : null;
+  if (parsedB && parsedB.error) return fail(`B: ${parsedB.error}`);
+
+  const width = Math.max(parsedA.width, parsedB ? parsedB.width : 0);
+  const a = parsedA.value;
+  const b = parsedB ? parsedB.value : 0n;
+  const modulus = 1n << BigInt(width);
+  const binA = grayToBinBig(a);
+  const binB = grayToBinBig(b);
+
+  let result;
+  let output;
+  let expected;
+  if (op === 'inc' || op === 'dec') {
+    result = grayStepSteps(a, width, op === 'inc');
+    output = padBig(result.value, width);
+    expected = padBig(binToGrayBig((binA + (op === 'inc' ? 1n : modulus - 1n)) % modulus), width);
+  } else if (op === 'add') {
+    result = grayAddSteps(a, b, width);
+    output = padBig(result.value, width);
+    expected = padBig(binToGrayBig((binA + binB) % modulus), width);
+  } else {
+    result = grayCompareSteps(a, b, width);
+    output = ['A < B', 'A = B', 'A > B'][result.order + 1];
+    expected = ['A < B', 'A = B', 'A > B'][(binA > binB) - (binA < binB) + 1];
+  }
+
+  out.parentElement.classList.remove('error');
+  out.textContent = output;
+  const ok = output === expected;
+  const values = binary ? `A = ${binA}, B = ${binB}（10進）` : `A = ${binA}（10進）`;
+  const notes = [parsedA.note, parsedB ? parsedB.note : ''].filter(Boolean).join(' / ');
+  note.textContent = `${width}ビット・${GRAY_OPS[op]}: ${values} / 照合（grayToBin → 2進演算 → binToGray）: ${expected} ${ok ? '✓ 一致' : '✗ 不一致'}` +
+    (notes ? `（${notes}）` : '');
+  note.classList.toggle('error-text', !ok);
+  displaySteps(result.steps, 'grayOpSteps');
+}
+
+$('grayOpRun').addEventListener('click', runGrayArith);
+['grayOpKind', 'grayOpBase', 'grayOpWidth'].forEach(id => $(id).addEventListener('change', runGrayArith));
+['grayOpA', 'grayOpB'].forEach(id => {
+  $(id).addEventListener('keypress', e => {
+    if (e.key === 'Enter') runGrayArith();
+  });
+});
+
+// ==========================================
+// 変換タブ - 一括変換（Batch）
+// ==========================================
+
+const MAX_BATCH_ROWS = 5000;            // 一括変換の最大行数（DoS対策）
+const MAX_BATCH_FILE_SIZE = 2 * 1024 * 1024; // 読み込み可能なCSVファイルサイズ上限
+
+let batchResults = []; // 直近の一括変換結果（CSVダウンロード用）
+
+/**
+ * CSVテキストを行・列の2次元配列に分解
+ * 区切り文字はタブ / セミコロン / カンマを1行目から自動判定し、引用符付きフィールドに対応
+ * @param {string} text - CSVテキスト
+ * @returns {string[][]} 行ごとのフィールド配列（空行は除外）
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = ['\t', ';', ','].find(d => firstLine.includes(d)) || ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field.trim());
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * 列選択肢をCSVの内容に合わせて更新（一括変換・シーケンス検証で共用）
+ * ヘッダー行が有効な場合は列名を表示する
+ * @param {string} inputId - CSVテキストの入力欄のID
+ * @param {string} headerId - 「先頭行はヘッダー」チェックボックスのID
+ * @param {string} selectId - 列選択のID
+ */
+function updateCsvColumns(inputId, headerId, selectId) {
+  const rows = parseCsv($(inputId).value.slice(0, 10000));
+  const cols = rows.reduce((m, r) => Math.max(m, r.length), 1);
+  const header = $(headerId).checked && rows.length ? rows[0] : [];
+  const select = $(selectId);
+  const prev = parseInt(select.value, 10) || 0;
+
+  select.innerHTML = '';
+  for (let c = 0; c < cols; c++) {
+    const opt = document.createElement('option');
+    opt.value = String(c);
+    opt.textContent = header[c] ? `列${c + 1}: ${header[c]}` : `列${c + 1}`;
+    select.appendChild(opt);
+  }
+  select.value = String(Math.min(prev, cols - 1));
+}
+
+/**
+ * 一括変換の実行
+ * 各行を convert() と同じ経路（convertDetailed）で変換し、前の行とのハミング距離を hdist() で求める
+ * @param {string[][]} rows - parseCsvの結果
+ * detected が true なら inBase は自動判定した列の基数で、接頭辞のある行は各行の接頭辞で読む
+ * @param {{column: number, header: boolean, toGray: boolean, inBase: string, detected: boolean, width: number}} options - 変換設定
+ * @returns {Array<object>} 行ごとの変換結果
+ */
+function batchConvert(rows, options) {
+  const { column = 0, header = false, toGray = true, inBase = 'auto', detected = false, width = 0 } = options;
+  const body = (header ? rows.slice(1) : rows).slice(0, MAX_BATCH_ROWS);
+  const results = [];
+  let prev = null;
+
+  body.forEach((row, idx) => {
+    const input = row[column] ?? '';
+    const base = detected ? columnRowBase(input, inBase) : inBase;
+    const r = convertDetailed(input, toGray, { inBase: base, outBase: 2, width });
+
+    if (r.error) {
+      results.push({ index: idx, input, error: r.error });
+      prev = null; // エラー行を挟んだ場合は距離を計算しない
+      return;
+    }
+
+    const binary = toGray ? r.inputBits : r.outputBits;
+    const gray = toGray ? r.outputBits : r.inputBits;
+    const cur = { bin: BigInt('0b' + binary), gray: BigInt('0b' + gray) };
+
+    results.push({
+      index: idx,
+      input,
+      binary,
+      gray,
+      decimal: cur.bin.toString(10),
+      dBin: prev ? hdist(prev.bin, cur.bin) : null,
+      dGray: prev ? hdist(prev.gray, cur.gray) : null,
+    });
+    prev = cur;
+  });
+
+  return results;
+}
+
+/**
+ * 一括変換結果の表示（XSS対策済み）
+ * 入力コード側の距離が1を超える行（読み取り飛び）とエラー行を強調
+ * @param {Array<object>} results - batchConvertの結果
+ * @param {boolean} toGray - 変換方向
+ * @param {number} totalRows - 元データの行数
+ * @param {number|string} inBase - 列の解釈に使った基数
+ * @param {boolean} detected - 基数を自動判定した場合 true
+ */
+function renderBatchResults(results, toGray, totalRows, inBase, detected) {
+  const tbody = $('batchTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+
+  let errors = 0;
+  let jumps = 0;
+  results.forEach(r => {
+    const row = document.createElement('tr');
+    const cells = r.error
+      ? [r.index + 1, r.input, r.error, '', '', '', '']
+      : [r.index + 1, r.input, r.binary, r.gray, r.decimal, r.dBin ?? '-', r.dGray ?? '-'];
+
+    cells.forEach((value, i) => {
+      const td = document.createElement('td');
+      td.textContent = String(value);
+      if (r.error && i === 2) td.colSpan = 5;
+      if (!(r.error && i > 2)) row.appendChild(td);
+    });
+
+    const inputDist = toGray ? r.dBin : r.dGray;
+    if (r.error) {
+      row.className = 'error';
+      errors++;
+    } else if (inputDist > 1) {
+      row.className = 'warn';
+      jumps++;
+    }
+    tbody.appendChild(row);
+  });
+
+  const truncated = totalRows > MAX_BATCH_ROWS ? `（上限${MAX_BATCH_ROWS}行まで処理）` : '';
+  $('batchSummary').textContent =
+    `${results.length}行を変換（${describeColumnBase(inBase, detected)}） / ` +
+    `エラー${errors}行 / 入力コードの多ビット変化${jumps}箇所${truncated}`;
+}
+
+/**
+ * 一括変換結果をCSV文字列に変換
+ * @param {Array<object>} results - batchConvertの結果
+ * @returns {string} CSVテキスト
+ */
+function batchResultsToCsv(results) {
+  const lines = [['index', 'input', 'binary', 'gray', 'decimal', 'hamming_binary', 'hamming_gray', 'error'].join(',')];
+  results.forEach(r => {
+    lines.push([
+      r.index + 1, r.input, r.binary ?? '', r.gray ?? '', r.decimal ?? '',
+      r.dBin ?? '', r.dGray ?? '', r.error ?? ''
+    ].map(csvEscape).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// 一括変換実行
+$('batchRun').addEventListener('click', () => {
+  const rows = parseCsv($('batchIn').value);
+  const header = $('batchHeader').checked;
+  const toGray = $('batchDir').value === 'toGray';
+  const column = parseInt($('batchColumn').value, 10) || 0;
+
+  // 自動判定は接頭辞のない行から列全体で1つの基数に決め、合わない行はエラーとして表示する
+  let inBase = $('batchBase').value;
+  const detected = inBase === 'auto';
+  if (detected) {
+    inBase = detectColumnBase((header ? rows.slice(1) : rows).slice(0, MAX_BATCH_ROWS).map(r => r[column] ?? ''));
+  }
+
+  batchResults = batchConvert(rows, {
+    column,
+    header,
+    toGray,
+    inBase,
+    detected,
+    width: Math.max(0, parseInt($('batchWidth').value, 10) || 0)
+  });
+
+  renderBatchResults(batchResults, toGray, rows.length - (header ? 1 : 0), inBase, detected);
+  $('batchDownload').disabled = batchResults.length === 0;
+});
+
+// 結果のCSVダウンロード
+$('batchDownload').addEventListener('click', () => {
+  if (!batchResults.length) return;
+  downloadText('grayninja_batch.csv', batchResultsToCsv(batchResults), 'text/csv');
+});
+
+// CSVファイル読み込み（ローカルのみ、サーバー送信なし）
+$('batchFile').addEventListener('change', e => {
+  const file = e.target.files[0];
+  if (!file) return;
+  if (file.size > MAX_BATCH_FILE_SIZE) {
+    $('batchSummary').textContent = `ファイルが大きすぎます（上限${MAX_BATCH_FILE_SIZE / 1024 / 1024}MB）`;
+    e.target.value = '';
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    $('batchIn').value = String(reader.result);
+    updateCsvColumns('batchIn', 'batchHeader', 'batchColumn');
+  };
+  reader.onerror = () => {
+    console.warn('Failed to read CSV file:', reader.error);
+    $('batchSummary').textContent = 'ファイルを読み込めませんでした';
+  };
+  reader.readAsText(file);
+});
+
+// 入力・ヘッダー設定の変更で列候補を更新
+$('batchIn').addEventListener('input', () => updateCsvColumns('batchIn', 'batchHeader', 'batchColumn'));
+$('batchHeader').addEventListener('change', () => updateCsvColumns('batchIn', 'batchHeader', 'batchColumn'));
+
+// ==========================================
+// データエクスポート機能
+// ==========================================
+
+/**
+ * エクスポート対象のシーケンスを生成（基本タブの基数・種類に従う）
+ * N進では binary / gray 列は k進の文字列、hamming は桁単位の距離になる
+ * 循環しないコードでは先頭行の hamming は基本タブの表と同じ '-'
+ * @returns {Array<{decimal: number, binary: string, gray: string, hamming: number|string,
+ *   binaryValue: number, grayValue: number}>} 全行
+ */
+function buildExportRows() {
+  const rows = [];
+  const seq = basicsSequence();
+  const max = seq.length;
+  const cyclic = basicsCyclic(seq);
+  for (let i = 0; i < max; i++) {
+    rows.push({
+      decimal: i,
+      binary: formatCode(i),
+      gray: formatCode(seq[i]),
+      hamming: i === 0 && !cyclic ? '-' : codeDistance(seq[(i - 1 + max) % max], seq[i]),
+      binaryValue: i,
+      grayValue: seq[i]
+    });
+  }
+  return rows;
+}
+
+/**
+ * LUT/ROM形式で使う1語あたりのビット幅（N進は符号語の数値を格納できる幅）
+ * @param {number} size - 語数
+ * @returns {number} ビット幅
+ */
+const exportWordBits = (size) => Math.max(1, Math.ceil(Math.log2(size)));
+
+/**
+ * エクスポートのコメントに入れるシーケンスの説明
+ * @param {string} seq - 'gray' | 'binary'
+ * @returns {string} 説明（英語）
+ */
+function describeExportSequence(seq) {
+  if (radix === 2) return `${n}-bit ${seq === 'gray' ? CODE_FAMILIES[codeFamily].name : 'binary'}`;
+  return `${n}-digit base-${radix} ${seq === 'gray' ? `${naryKind} Gray code` : 'counting'}`;
+}
+
+/**
+ * エクスポート形式の定義
+ * build(rows, seq) は seq='gray'|'binary' に応じた値列を出力する
+ * （JSON/CSV/Markdownは両方の列を含み、LUT/ROM形式は選択した列のみ）
+ */
+const EXPORT_FORMATS = {
+  json: {
+    label: 'JSON',
+    ext: 'json',
+    mime: 'application/json',
+    build: (rows, seq) => JSON.stringify({
+      bits: n,
+      radix,
+      family: radix === 2 ? codeFamily : naryKind,
+      currentValue: val,
+      sequence: seq,
+      graySequence: rows.map(({ decimal, binary, gray }) => ({ decimal, binary, gray }))
+    }, null, 2)
+  },
+  csv: {
+    label: 'CSV',
+    ext: 'csv',
+    mime: 'text/csv',
+    build: (rows) => ['decimal,binary,gray,hamming']
+      .concat(rows.map(r => `${r.decimal},${r.binary},${r.gray},${r.hamming}`))
+      .join('\r\n') + '\r\n'
+  },
+  c: {
+    label: 'C/C++ ヘッダー',
+    ext: 'h',
+    mime: 'text/x-c',
+    build: (rows, seq) => {
+      const name = `${seq}_lut`;
+      const guard = `${name.toUpperCase()}_${n}_H`;
+      const bits = exportWordBits(rows.length);
+      const width = Math.ceil(bits / 4);
+      const body = [];
+      for (let i = 0; i < rows.length; i += 8) {
+        body.push('  ' + rows.slice(i, i + 8)
+          .map(r => '0x' + r[`${seq}Value`].toString(16).toUpperCase().padStart(width, '0'))
+          .join(', '));
+      }
+      return [
+        `/* ${describeExportSequence(seq)} lookup table (generated by GrayNinja) */`,
+        `#ifndef ${guard}`,
+        `#define ${guard}`,
+        '',
+        '#include <stdint.h>',
+        '',
+        `#define ${name.toUpperCase()}_BITS ${bits}`,
+        `#define ${name.toUpperCase()}_SIZE ${rows.length}`,
+        '',
+        `static const uint16_t ${name}[] = {`,
+        body.join(',\n'),
+        '};',
+        '',
+        `#endif /* ${guard} */`,
+        ''
+      ].join('\n');
+    }
+  },
+  memb: {
+    label: 'Verilog $readmemb',
+    ext: 'mem',
+    mime: 'text/plain',
+    build: (rows, seq) => [`// ${describeExportSequence(seq)}, ${rows.length} words ($readmemb)`]
+      .concat(rows.map(r => `${pad(r[`${seq}Value`], exportWordBits(rows.length))} // ${r.decimal}`))
+      .join('\n') + '\n'
+  },
+  memh: {
+    label: 'Verilog $readmemh',
+    ext: 'hex',
+    mime: 'text/plain',
+    build: (rows, seq) => [`// ${describeExportSequence(seq)}, ${rows.length} words ($readmemh)`]
+      .concat(rows.map(r => `${r[`${seq}Value`].toString(16).toUpperCase().padStart(Math.ceil(exportWordBits(rows.length) / 4), '0')} // ${r.decimal}`))
+      .join('\n') + '\n'
+  },
+  md: {
+    label: 'Markdown表',
+    ext: 'md',
+    mime: 'text/markdown',
+    build: (rows) => ['| # | Binary | Gray | ΔHamming |', '|---|--------|------|----------|']
+      .concat(rows.map(r => `| ${r.decimal} | \`${r.binary}\` | \`${r.gray}\` | ${r.hamming} |`))
+      .join('\n') + '\n'
+  },
+};
+
+/**
+ * 現在のビット数のシーケンス表をエクスポート
+ * @param {string} format - EXPORT_FORMATSのキー（デフォルト 'json'）
+ * @param {string} seq - LUT/ROM形式で出力する列（'gray' | 'binary'）
+ * @returns {string} 指定形式の文字列
+ */
+function exportData(format = 'json', seq = 'gray') {
+  const fmt = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  return fmt.build(buildExportRows(), seq === 'binary' ? 'binary' : 'gray');
+}
+
+// エクスポートボタン
+$('exportBtn').addEventListener('click', () => {
+  const format = $('exportFormat').value;
+  const seq = $('exportSeq').value;
+  const fmt = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  const size = radix === 2 ? `${n}bit` : `base${radix}_${n}digit`;
+  downloadText(`grayninja_${seq}_${size}.${fmt.ext}`, exportData(format, seq), fmt.mime);
+});
+
+// ==========================================
+// HDLタブ - コード生成
+// ==========================================
+
+/**
+ * HDLテンプレート
+ * 言語 → 回路種別 → { module, testbench } の生成関数（引数はビット幅）
+ * 生成コードは合成可能なRTLと、期待値を自動判定する自己検証テストベンチ
+ */
+const HDL_TEMPLATES = {
+  verilog: {
+    bin2gray: {
+      module: (w) => `// Binary -> Gray converter (generated by GrayNinja)
+module bin2gray #(
+  parameter WIDTH = ${w}
+) (
+  input  wire [WIDTH-1:0] bin,
+  output wire [WIDTH-1:0] gray
+);
+  assign gray = bin ^ (bin >> 1);
+endmodule
+`,
+      testbench: (w) => `// Self-checking testbench for bin2gray (generated by GrayNinja)
+\`timescale 1ns/1ps
+module tb_bin2gray;
+  localparam WIDTH = ${w};
+
+  reg  [WIDTH-1:0] bin;
+  wire [WIDTH-1:0] gray;
+  integer i, errors;
+
+  bin2gray #(.WIDTH(WIDTH)) dut (.bin(bin), .gray(gray));
+
+  initial begin
+    errors = 0;
+    for (i = 0; i < (1 << WIDTH); i = i + 1) begin
+      bin = i;
+      #1;
+      if (gray !== (bin ^ (bin >> 1))) begin
+        $display("ERROR: bin=%b gray=%b expected=%b", bin, gray, bin ^ (bin >> 1));
+        errors = errors + 1;
+      end
+    end
+    if (errors == 0) $display("PASS: tb_bin2gray (%0d vectors)", 1 << WIDTH);
+    else             $display("FAIL: tb_bin2gray (%0d errors)", errors);
+    $finish;
+  end
+endmodule
+`
+    },
+    gray2bin: {
+      module: (w) => `// Gray -> Binary converter (generated by GrayNinja)
+module gray2bin #(
+  parameter WIDTH = ${w}
+) (
+  input  wire [WIDTH-1:0] gray,
+  output wire [WIDTH-1:0] bin
+);
+  // bin[i] = XOR of gray[WIDTH-1:i]
+  genvar i;
+  generate
+    for (i = 0; i < WIDTH; i = i + 1) begin : g_bit
+      assign bin[i] = ^(gray >> i);
+    end
+  endgenerate
+endmodule
+`,
+      testbench: (w) => `// Self-checking testbench for gray2bin (generated by GrayNinja)
+\`timescale 1ns/1ps
+module tb_gray2bin;
+  localparam WIDTH = ${w};
+
+  reg  [WIDTH-1:0] expected;
+  reg  [WIDTH-1:0] gray;
+  wire [WIDTH-1:0] bin;
+  integer i, errors;
+
+  gray2bin #(.WIDTH(WIDTH)) dut (.gray(gray), .bin(bin));
+
+  initial begin
+    errors = 0;
+    for (i = 0; i < (1 << WIDTH); i = i + 1) begin
+      expected = i;
+      gray = expected ^ (expected >> 1);
+      #1;
+      if (bin !== expected) begin
+        $display("ERROR: gray=%b bin=%b expected=%b", gray, bin, expected);
+        errors = errors + 1;
+      end
+    end
+    if (errors == 0) $display("PASS: tb_gray2bin (%0d vectors)", 1 << WIDTH);
+    else             $display("FAIL: tb_gray2bin (%0d errors)", errors);
+    $finish;
+  end
+endmodule
+`
+    },
+    gray_counter: {
+      module: (w) => `// ${w}-bit Gray counter with enable and synchronous reset (generated by GrayNinja)
+module gray_counter #(
+  parameter WIDTH = ${w}
+) (
+  input  wire             clk,
+  input  wire             rst,   // synchronous, active high
+  input  wire             en,
+  output reg  [WIDTH-1:0] gray
+);
+  reg  [WIDTH-1:0] bin;
+  wire [WIDTH-1:0] bin_next = bin + 1'b1;
+
+  // The Gray output is registered, so only one bit toggles per increment
+  always @(posedge clk) begin
+    if (rst) begin
+      bin  <= {WIDTH{1'b0}};
+      gray <= {WIDTH{1'b0}};
+    end else if (en) begin
+      bin  <= bin_next;
+      gray <= bin_next ^ (bin_next >> 1);
+    end
+  end
+endmodule
+`,
+      testbench: (w) => `// Self-checking testbench for gray_counter (generated by GrayNinja)
+\`timescale 1ns/1ps
+module tb_gray_counter;
+  localparam WIDTH  = ${w};
+  localparam CYCLES = 2 * (1 << WIDTH) + 4;
+
+  reg  clk = 1'b0;
+  reg  rst = 1'b1;
+  reg  en  = 1'b0;
+  wire [WIDTH-1:0] gray;
+  reg  [WIDTH-1:0] ref_bin, prev;
+  integer cycle, errors;
+
+  gray_counter #(.WIDTH(WIDTH)) dut (.clk(clk), .rst(rst), .en(en), .gray(gray));
+
+  always #5 clk = ~clk;
+
+  function integer popcount(input [WIDTH-1:0] v);
+    integer k;
+    begin
+      popcount = 0;
+      for (k = 0; k < WIDTH; k = k + 1) popcount = popcount + v[k];
+    end
+  endfunction
+
+  initial begin
+    errors  = 0;
+    ref_bin = {WIDTH{1'b0}};
+    repeat (2) @(negedge clk);
+    rst  = 1'b0;
+    prev = gray;
+
+    // Count through the full range twice (including the wrap), pausing every 5th cycle
+    for (cycle = 0; cycle < CYCLES; cycle = cycle + 1) begin
+      en = (cycle % 5) != 4;
+      @(negedge clk);
+      if (en) ref_bin = ref_bin + 1'b1;
+      if (gray !== (ref_bin ^ (ref_bin >> 1))) begin
+        $display("ERROR: cycle=%0d gray=%b expected=%b", cycle, gray, ref_bin ^ (ref_bin >> 1));
+        errors = errors + 1;
+      end
+      if (en && popcount(gray ^ prev) != 1) begin
+        $display("ERROR: cycle=%0d %b -> %b changes %0d bits", cycle, prev, gray, popcount(gray ^ prev));
+        errors = errors + 1;
+      end
+      prev = gray;
+    end
+
+    // Synchronous reset returns the counter to zero
+    rst = 1'b1;
+    @(negedge clk);
+    if (gray !== {WIDTH{1'b0}}) begin
+      $display("ERROR: reset gray=%b", gray);
+      errors = errors + 1;
+    end
+
+    if (errors == 0) $display("PASS: tb_gray_counter (%0d cycles)", CYCLES);
+    else             $display("FAIL: tb_gray_counter (%0d errors)", errors);
+    $finish;
+  end
+endmodule
+`
+    }
+  },
+  vhdl: {
+    bin2gray: {
+      module: (w) => `-- Binary -> Gray converter (generated by GrayNinja)
+library ieee;
+use ieee.std_logic_1164.all;
+
+entity bin2gray is
+  generic (WIDTH : positive := ${w});
+  port (
+    bin  : in  std_logic_vector(WIDTH-1 downto 0);
+    gray : out std_logic_vector(WIDTH-1 downto 0)
+  );
+end entity bin2gray;
+
+architecture rtl of bin2gray is
+begin
+  gray <= bin xor ('0' & bin(WIDTH-1 downto 1));
+end architecture rtl;
+`,
+      testbench: (w) => `-- Self-checking testbench for bin2gray (generated by GrayNinja)
+library ieee;
+use ieee.std_logic_1164.all;
+use ieee.numeric_std.all;
+
+entity tb_bin2gray is
+end entity tb_bin2gray;
+
+architecture sim of tb_bin2gray is
+  constant WIDTH : positive := ${w};
+  signal bin  : std_logic_vector(WIDTH-1 downto 0);
+  signal gray : std_logic_vector(WIDTH-1 downto 0);
+begin
+  dut : entity work.bin2gray
+    generic map (WIDTH => WIDTH)
+    port map (bin => bin, gray => gray);
+
+  stim : process
+    variable u      : unsigned(WIDTH-1 downto 0);
+    variable errors : natural := 0;
+  begin
+    for i in 0 to 2**WIDTH - 1 loop
+      u   := to_unsigned(i, WIDTH);
+      bin <= std_logic_vector(u);
+      wait for 1 ns;
+      if gray /= std_logic_vector(u xor shift_right(u, 1)) then
+        report "ERROR: bin=" & integer'image(i) severity error;
+        errors := errors + 1;
+      end if;
+    end loop;
+    if errors = 0 then
+      report "PASS: tb_bin2gray (" & integer'image(2**WIDTH) & " vectors)";
+    else
+      report "FAIL: tb_bin2gray (" & integer'image(errors) & " errors)" severity failure;
+    end if;
+    wait;
+  end process stim;
+end architecture sim;
+`
+    },
+    gray2bin: {
+      module: (w) => `-- Gray -> Binary converter (generated by GrayNinja)
+library ieee;
+use ieee.std_logic_1164.all;
+
+entity gray2bin is
+  generic (WIDTH : positive := ${w});
+  port (
+    gray : in  std_logic_vector(WIDTH-1 downto 0);
+    bin  : out std_logic_vector(WIDTH-1 downto 0)
+  );
+end entity gray2bin;
+
+architecture rtl of gray2bin is
+begin
+  -- b(i) = b(i+1) xor g(i), starting from the MSB
+  process (gray)
+    variable b : std_logic_vector(WIDTH-1 downto 0);
+  begin
+    b(WIDTH-1) := gray(WIDTH-1);
+    for i in WIDTH-2 downto 0 loop
+      b(i) := b(i+1) xor gray(i);
+    end loop;
+    bin <= b;
+  end process;
+end architecture rtl;
+`,
+      testbench: (w) => `-- Self-checking testbench for gray2bin (generated by GrayNinja)
+library ieee;
+use ieee.std_logic_1164.all;
+use ieee.numeric_std.all;
+
+entity tb_gray2bin is
+end entity tb_gray2bin;
+
+architecture sim of tb_gray2bin is
+  constant WIDTH : positive := ${w};
+  signal gray : std_logic_vector(WIDTH-1 downto 0);
+  signal bin  : std_logic_vector(WIDTH-1 downto 0);
+begin
+  dut : entity work.gray2bin
+    generic map (WIDTH => WIDTH)
+    port map (gray => gray, bin => bin);
+
+  stim : process
+    variable u      : unsigned(WIDTH-1 downto 0);
+    variable errors : natural := 0;
+  begin
+    for i in 0 to 2**WIDTH - 1 loop
+      u    := to_unsigned(i, WIDTH);
+      gray <= std_logic_vector(u xor shift_right(u, 1));
+      wait for 1 ns;
+      if bin /= std_logic_vector(u) then
+        report "ERROR: expected bin=" & integer'image(i) severity error;
+        errors := errors + 1;
+      end if;
+    end loop;
+    if errors = 0 then
+      report "PASS: tb_gray2bin (" & integer'image(2**WIDTH) & " vectors)";
+    else
+      report "FAIL: tb_gray2bin (" & integer'image(errors) & " errors)" severity failure;
+    end if;
+    wait;
+  end process stim;
+end architecture sim;
+`
+    },
+    gray_counter: {
+      module: (w) => `-- ${w}-bit Gray counter with enable and synchronous reset (generated by GrayNinja)
+library ieee;
+use ieee.std_logic_1164.all;
+use ieee.numeric_std.all;
+
+entity gray_counter is
+  generic (WIDTH : positive := ${w});
+  port (
+    clk  : in  std_logic;
+    rst  : in  std_logic;  -- synchronous, active high
+    en   : in  std_logic;
+    gray : out std_logic_vector(WIDTH-1 downto 0)
+  );
+end entity gray_counter;
+
+architecture rtl of gray_counter is
+  signal bin_r  : unsigned(WIDTH-1 downto 0) := (others => '0');
+  signal gray_r : std_logic_vector(WIDTH-1 downto 0) := (others => '0');
+begin
+  -- The Gray output is registered, so only one bit toggles per increment
+  process (clk)
+    variable nxt : unsigned(WIDTH-1 downto 0);
+  begin
+    if rising_edge(clk) then
+      if rst = '1' then
+        bin_r  <= (others => '0');
+        gray_r <= (others => '0');
+      elsif en = '1' then
+        nxt    := bin_r + 1;
+        bin_r  <= nxt;
+        gray_r <= std_logic_vector(nxt xor shift_right(nxt, 1));
+      end if;
+    end if;
+  end process;
+
+  gray <= gray_r;
+end architecture rtl;
+`,
+      testbench: (w) => `-- Self-checking testbench for gray_counter (generated by GrayNinja)
+library ieee;
+use ieee.std_logic_1164.all;
+use ieee.numeric_std.all;
+
+entity tb_gray_counter is
+end entity tb_gray_counter;
+
+architecture sim of tb_gray_counter is
+  constant WIDTH  : positive := ${w};
+  constant CYCLES : positive := 2 * 2**WIDTH + 4;
+  constant PERIOD : time := 10 ns;
+  constant ZERO   : std_logic_vector(WIDTH-1 downto 0) := (others => '0');
+
+  signal clk  : std_logic := '0';
+  signal rst  : std_logic := '1';
+  signal en   : std_logic := '0';
+  signal gray : std_logic_vector(WIDTH-1 downto 0);
+  signal done : boolean := false;
+
+  function popcount(v : std_logic_vector) return natural is
+    variable c : natural := 0;
+  begin
+    for k in v'range loop
+      if v(k) = '1' then
+        c := c + 1;
+      end if;
+    end loop;
+    return c;
+  end function popcount;
+begin
+  dut : entity work.gray_counter
+    generic map (WIDTH => WIDTH)
+    port map (clk => clk, rst => rst, en => en, gray => gray);
+
+  clk <= not clk after PERIOD / 2 when not done else clk;
+
+  stim : process
+    variable ref_bin : unsigned(WIDTH-1 downto 0) := (others => '0');
+    variable prev    : std_logic_vector(WIDTH-1 downto 0);
+    variable enabled : boolean;
+    variable errors  : natural := 0;
+  begin
+    wait until falling_edge(clk);
+    wait until falling_edge(clk);
+    rst  <= '0';
+    prev := gray;
+
+    -- Count through the full range twice (including the wrap), pausing every 5th cycle
+    for cycle in 0 to CYCLES - 1 loop
+      enabled := (cycle mod 5) /= 4;
+      if enabled then
+        en <= '1';
+      else
+        en <= '0';
+      end if;
+      wait until falling_edge(clk);
+      if enabled then
+        ref_bin := ref_bin + 1;
+      end if;
+      if gray /= std_logic_vector(ref_bin xor shift_right(ref_bin, 1)) then
+        report "ERROR: unexpected Gray value at cycle " & integer'image(cycle) severity error;
+        errors := errors + 1;
+      end if;
+      if enabled and popcount(gray xor prev) /= 1 then
+        report "ERROR: more than one bit changed at cycle " & integer'image(cycle) severity error;
+        errors := errors + 1;
+      end if;
+      prev := gray;
+    end loop;
+
+    -- Synchronous reset returns the counter to zero
+    rst <= '1';
+    wait until falling_edge(clk);
+    if gray /= ZERO then
+      report "ERROR: counter not cleared by reset" severity error;
+      errors := errors + 1;
+    end if;
+
+    if errors = 0 then
+      report "PASS: tb_gray_counter (" & integer'image(CYCLES) & " cycles)";
+    else
+      report "FAIL: tb_gray_counter (" & integer'image(errors) & " errors)" severity failure;
+    end if;
+    done <= true;
+    wait;
+  end process stim;
+end architecture sim;
+`
+    }
+  }
+};
+
+/**
+ * HDLコードの生成
+ * @param {string} lang - 'verilog' | 'vhdl'
+ * @param {string} kind - 'bin2gray' | 'gray2bin' | 'gray_counter'
+ * @param {string} part - 'module' | 'testbench' | 'both'
+ * @param {number} width - ビット幅
+ * @returns {string} 生成されたHDLソース
+ */
+function generateHdl(lang, kind, part, width) {
+  const tpl = (HDL_TEMPLATES[lang] || HDL_TEMPLATES.verilog)[kind] || HDL_TEMPLATES.verilog.bin2gray;
+  const w = Math.max(1, Math.min(12, width | 0));
+  if (part === 'module') return tpl.module(w);
+  if (part === 'testbench') return tpl.testbench(w);
+  return tpl.module(w) + '\n' + tpl.testbench(w);
+}
+
+/**
+ * HDLプレビューの更新
+ * ビット幅は基本タブが2進のときだけ #bits（グローバル n）と共通
+ * N進では n は桁数なので、#hdlBits を独立したビット幅として使う
+ */
+function renderHdl() {
+  const linked = radix === 2;
+  if (linked) $('hdlBits').value = String(n);
+  const width = readClampedInt('hdlBits', 1, 12, 4);
+  $('hdlBitsNote').textContent = linked
+    ? '※ビット数は「基本」タブと共通です'
+    : `※「基本」タブが${radix}進（桁数）のため、ビット数はこのタブで個別に設定します`;
+  $('hdlPreview').textContent = generateHdl($('hdlLang').value, $('hdlKind').value, $('hdlPart').value, width);
+}
+
+/**
+ * ダウンロード用ファイル名の決定
+ * @returns {string} ファイル名
+ */
+function hdlFilename() {
+  const ext = $('hdlLang').value === 'vhdl' ? 'vhd' : 'v';
+  const kind = $('hdlKind').value;
+  const part = $('hdlPart').value;
+  if (part === 'testbench') return `tb_${kind}.${ext}`;
+  if (part === 'both') return `${kind}_with_tb.${ext}`;
+  return `${kind}.${ext}`;
+}
+
+// ==========================================
+// HDLタブ - イベントリスナー
+// ==========================================
+
+['hdlLang', 'hdlKind', 'hdlPart'].forEach(id => $(id).addEventListener('change', renderHdl));
+
+// ビット幅は基本タブが2進のときだけ同期（#bits の検証処理を経由させる）
+$('hdlBits').addEventListener('change', e => {
+  if (radix !== 2) {
+    renderHdl();
+    return;
+  }
+  $('bits').value = e.target.value;
+  $('bits').dispatchEvent(new Event('change'));
+});
+$('bits').addEventListener('change', renderHdl);
+
+$('hdlDownload').addEventListener('click', () => {
+  downloadText(hdlFilename(), $('hdlPreview').textContent, 'text/plain');
+});
+
+$('hdlCopy').addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText($('hdlPreview').textContent);
+    $('hdlCopy').textContent = 'コピーしました';
+  } catch (error) {
+    console.warn('Failed to copy HDL to clipboard:', error);
+    $('hdlCopy').textContent = 'コピー失敗';
+  }
+  setTimeout(() => { $('hdlCopy').textContent = 'コピー'; }, 1500);
+});
+
+// ==========================================
+// FIFOタブ - 非同期FIFO（クロックドメイン跨ぎ）シミュレーター
+// ==========================================
+
+const FIFO_LOG_LIMIT = 12; // イベントログの表示件数
+
+let fifoSim = null;    // シミュレーション状態
+let fifoTimer = null;  // 自動実行タイマー
+
+/**
+ * メタステーブル・サンプリングのモデル
+ * 遷移中（old → new）のポインタを取り込むと、変化中のビットはそれぞれ旧値か新値にランダムに確定する
+ * @param {number} oldVal - 遷移前の値
+ * @param {number} newVal - 遷移後の値
+ * @param {function(): number} rng - 乱数生成器
+ * @returns {number} 取り込まれた値
+ */
+function sampleMidTransition(oldVal, newVal, rng) {
+  let changed = oldVal ^ newVal;
+  let sampled = oldVal;
+  for (let bit = 1; changed; bit <<= 1) {
+    if (changed & bit) {
+      if (rng() < 0.5) sampled ^= bit;
+      changed &= ~bit;
+    }
+  }
+  return sampled;
+}
+
+/**
+ * 循環ポインタ上での距離（デコード値が旧値・新値のどちらからどれだけ離れたか）
+ * @param {number} decoded - デコードされた値
+ * @param {number} oldVal - 遷移前の値
+ * @param {number} newVal - 遷移後の値
+ * @param {number} mod - ポインタの値域（2^幅）
+ * @returns {number} 旧値・新値のうち近い方との距離
+ */
+function pointerError(decoded, oldVal, newVal, mod) {
+  const dist = (a, b) => {
+    const d = ((a - b) % mod + mod) % mod;
+    return Math.min(d, mod - d);
+  };
+  return Math.min(dist(decoded, oldVal), dist(decoded, newVal));
+}
+
+/**
+ * 非同期FIFOシミュレーションの初期化
+ * ポインタは深さ 2^addrBits に対し addrBits+1 ビット（MSBは周回判定用）
+ * @param {{addrBits: number, wFreq: number, rFreq: number, wRate: number, rRate: number,
+ *          meta: boolean, syncWindow: number, seed: number}} opts - 設定（周波数はMHz、syncWindowはns）
+ * @returns {object} シミュレーション状態
+ */
+function createFifoSim(opts) {
+  const ptrBits = opts.addrBits + 1;
+  return {
+    opts,
+    ptrBits,
+    mod: 1 << ptrBits,
+    depth: 1 << opts.addrBits,
+    rng: createRng(opts.seed),
+    t: 0,
+    nextW: 1000 / opts.wFreq,
+    nextR: 1000 / opts.rFreq,
+    mem: new Array(1 << opts.addrBits).fill(null),
+    wdata: 0,
+    rexpect: 0,
+    // 書き込みドメイン
+    wbin: 0, wgray: 0, wPrev: { bin: 0, gray: 0, t: -Infinity },
+    rq1: 0, rq2: 0, rqb1: 0, rqb2: 0, full: false,
+    // 読み出しドメイン
+    rbin: 0, rgray: 0, rPrev: { bin: 0, gray: 0, t: -Infinity },
+    wq1: 0, wq2: 0, wqb1: 0, wqb2: 0, empty: true,
+    stats: {
+      writes: 0, reads: 0, fullStalls: 0, emptyStalls: 0, dataErrors: 0,
+      midSamples: 0, grayWrong: 0, binWild: 0, binMaxErr: 0,
+      grayToggles: 0, binToggles: 0
+    },
+    log: []
+  };
+}
+
+/**
+ * 同期化フリップフロップ1段目での取り込み
+ * 相手ドメインのポインタが直近 syncWindow ns 以内に変化していれば遷移中とみなす
+ * Grayポインタと、比較用にバイナリポインタをそのまま同期化した場合の両方を評価する
+ * @param {object} sim - シミュレーション状態
+ * @param {{bin: number, gray: number, t: number}} prev - 相手ポインタの直前値と変化時刻
+ * @param {number} curBin - 相手ポインタの現在値（バイナリ）
+ * @returns {{gray: number, bin: number}} 取り込まれた値
+ */
+function fifoSample(sim, prev, curBin) {
+  const curGray = binToGray(curBin);
+  const { meta, syncWindow } = sim.opts;
+  if (!meta || sim.t - prev.t >= syncWindow || prev.bin === curBin) {
+    return { gray: curGray, bin: curBin };
+  }
+
+  const gray = sampleMidTransition(prev.gray, curGray, sim.rng);
+  const bin = sampleMidTransition(prev.bin, curBin, sim.rng);
+  const grayErr = pointerError(grayToBin(gray), prev.bin, curBin, sim.mod);
+  const binErr = pointerError(bin, prev.bin, curBin, sim.mod);
+
+  sim.stats.midSamples++;
+  if (grayErr > 0) sim.stats.grayWrong++;
+  if (binErr > 0) sim.stats.binWild++;
+  sim.stats.binMaxErr = Math.max(sim.stats.binMaxErr, binErr);
+  return { gray, bin };
+}
+
+/**
+ * 次のクロックエッジまで進める
+ * 同時刻の場合は書き込みクロックを先に処理する
+ * @param {object} sim - シミュレーション状態
+ * @returns {string} 処理したイベントの説明
+ */
+function stepFifoSim(sim) {
+  const { opts, stats, ptrBits } = sim;
+  const topMask = 0b11 << (ptrBits - 2); // full判定で反転する上位2ビット
+  const addrMask = sim.depth - 1;
+  let msg;
+
+  if (sim.nextW <= sim.nextR) {
+    sim.t = sim.nextW;
+    sim.nextW += 1000 / opts.wFreq;
+
+    // 読み出しポインタを書き込みドメインへ2段同期
+    const s = fifoSample(sim, sim.rPrev, sim.rbin);
+    sim.rq2 = sim.rq1; sim.rq1 = s.gray;
+    sim.rqb2 = sim.rqb1; sim.rqb1 = s.bin;
+
+    if (sim.rng() < opts.wRate) {
+      if (sim.full) {
+        stats.fullStalls++;
+        msg = 'W: full のため書き込み待ち';
+      } else {
+        sim.mem[sim.wbin & addrMask] = sim.wdata;
+        const next = (sim.wbin + 1) % sim.mod;
+        stats.grayToggles += hdist(binToGray(sim.wbin), binToGray(next));
+        stats.binToggles += hdist(sim.wbin, next);
+        sim.wPrev = { bin: sim.wbin, gray: sim.wgray, t: sim.t };
+        msg = `W: data=${sim.wdata} → [${sim.wbin & addrMask}]`;
+        sim.wdata++;
+        sim.wbin = next;
+        sim.wgray = binToGray(next);
+        stats.writes++;
+      }
+    } else {
+      msg = 'W: 書き込み要求なし';
+    }
+    // 同期化済み読み出しポインタとの比較（上位2ビット反転で一致 = full）
+    sim.full = sim.wgray === (sim.rq2 ^ topMask);
+  } else {
+    sim.t = sim.nextR;
+    sim.nextR += 1000 / opts.rFreq;
+
+    // 書き込みポインタを読み出しドメインへ2段同期
+    const s = fifoSample(sim, sim.wPrev, sim.wbin);
+    sim.wq2 = sim.wq1; sim.wq1 = s.gray;
+    sim.wqb2 = sim.wqb1; sim.wqb1 = s.bin;
+
+    if (sim.rng() < opts.rRate) {
+      if (sim.empty) {
+        stats.emptyStalls++;
+        msg = 'R: empty のため読み出し待ち';
+      } else {
+        const data = sim.mem[sim.rbin & addrMask];
+        if (data !== sim.rexpect) stats.dataErrors++;
+        const next = (sim.rbin + 1) % sim.mod;
+        sim.rPrev = { bin: sim.rbin, gray: sim.rgray, t: sim.t };
+        msg = `R: [${sim.rbin & addrMask}] → data=${data}`;
+        sim.rexpect++;
+        sim.rbin = next;
+        sim.rgray = binToGray(next);
+        stats.reads++;
+      }
+    } else {
+      msg = 'R: 読み出し要求なし';
+    }
+    sim.empty = sim.rgray === sim.wq2;
+  }
+
+  sim.log.unshift(`${sim.t.toFixed(1)}ns ${msg}`);
+  sim.log.length = Math.min(sim.log.length, FIFO_LOG_LIMIT);
+  return msg;
+}
+
+/**
+ * メタステーブル・サンプリングの一括評価（モンテカルロ）
+ * ランダムなポインタ値の +1 遷移の途中を取り込み、デコード誤差を集計する
+ * @param {number} ptrBits - ポインタのビット幅
+ * @param {number} samples - 試行回数
+ * @param {number} seed - 乱数シード
+ * @returns {{samples: number, gray: {wrong: number, maxErr: number}, bin: {wrong: number, maxErr: number}, binHist: number[]}} 集計結果
+ */
+function runMetastabilityTrials(ptrBits, samples, seed) {
+  const rng = createRng(seed);
+  const mod = 1 << ptrBits;
+  const result = {
+    samples,
+    gray: { wrong: 0, maxErr: 0 },
+    bin: { wrong: 0, maxErr: 0 },
+    binHist: new Array(mod / 2 + 1).fill(0)
+  };
+
+  for (let i = 0; i < samples; i++) {
+    const oldBin = Math.floor(rng() * mod);
+    const newBin = (oldBin + 1) % mod;
+
+    const grayErr = pointerError(
+      grayToBin(sampleMidTransition(binToGray(oldBin), binToGray(newBin), rng)), oldBin, newBin, mod);
+    const binErr = pointerError(sampleMidTransition(oldBin, newBin, rng), oldBin, newBin, mod);
+
+    if (grayErr > 0) result.gray.wrong++;
+    if (binErr > 0) result.bin.wrong++;
+    result.gray.maxErr = Math.max(result.gray.maxErr, grayErr);
+    result.bin.maxErr = Math.max(result.bin.maxErr, binErr);
+    result.binHist[binErr]++;
+  }
+  return result;
+}
+
+/**
+ * 画面の設定値からシミュレーション設定を取得
+ * @returns {object} createFifoSim用の設定
+ */
+function readFifoOptions() {
+  const num = (id, min, max, def) => {
+    const v = parseFloat($(id).value);
+    return isFinite(v) ? Math.max(min, Math.min(max, v)) : def;
+  };
+  return {
+    addrBits: num('fifoDepth', 2, 4, 3),
+    wFreq: num('fifoWFreq', 1, 500, 100),
+    rFreq: num('fifoRFreq', 1, 500, 60),
+    wRate: num('fifoWRate', 0, 100, 80) / 100,
+    rRate: num('fifoRRate', 0, 100, 80) / 100,
+    meta: $('fifoMeta').checked,
+    syncWindow: num('fifoWindow', 0, 100, 2),
+    seed: num('fifoSeed', 0, 0xffffffff, 1) >>> 0
+  };
+}
+
+/**
+ * FIFOシミュレーションの表示更新（XSS対策済み）
+ */
+function renderFifo() {
+  const sim = fifoSim;
+  const w = sim.ptrBits;
+  const st = sim.stats;
+
+  $('fifoTime').textContent = `${sim.t.toFixed(1)} ns`;
+
+  // 書き込みドメイン
+  $('fifoWBin').textContent = pad(sim.wbin, w);
+  $('fifoWGray').textContent = pad(sim.wgray, w);
+  $('fifoRq1').textContent = pad(sim.rq1, w);
+  $('fifoRq2').textContent = `${pad(sim.rq2, w)} (=${grayToBin(sim.rq2)})`;
+  $('fifoRqb1').textContent = pad(sim.rqb1, w);
+  $('fifoRqb2').textContent = `${pad(sim.rqb2, w)} (=${sim.rqb2})`;
+  $('fifoFull').textContent = sim.full ? 'FULL' : '—';
+  $('fifoFull').classList.toggle('flag-on', sim.full);
+
+  // 読み出しドメイン
+  $('fifoRBin').textContent = pad(sim.rbin, w);
+  $('fifoRGray').textContent = pad(sim.rgray, w);
+  $('fifoWq1').textContent = pad(sim.wq1, w);
+  $('fifoWq2').textContent = `${pad(sim.wq2, w)} (=${grayToBin(sim.wq2)})`;
+  $('fifoWqb1').textContent = pad(sim.wqb1, w);
+  $('fifoWqb2').textContent = `${pad(sim.wqb2, w)} (=${sim.wqb2})`;
+  $('fifoEmpty').textContent = sim.empty ? 'EMPTY' : '—';
+  $('fifoEmpty').classList.toggle('flag-on', sim.empty);
+
+  // メモリ（書き込み済み・未読出しのセルを強調）
+  const memRow = $('fifoMem');
+  memRow.innerHTML = '';
+  const count = (sim.wbin - sim.rbin + sim.mod) % sim.mod;
+  for (let i = 0; i < sim.depth; i++) {
+    const cell = document.createElement('div');
+    const offset = (i - (sim.rbin & (sim.depth - 1)) + sim.depth) % sim.depth;
+    cell.className = 'fifo-cell' + (offset < count ? ' used' : '');
+    if (i === (sim.wbin & (sim.depth - 1))) cell.classList.add('wptr');
+    if (i === (sim.rbin & (sim.depth - 1))) cell.classList.add('rptr');
+    cell.textContent = offset < count ? String(sim.mem[i]) : '';
+    cell.title = `[${i}]`;
+    memRow.appendChild(cell);
+  }
+  $('fifoCount').textContent = `${count} / ${sim.depth}`;
+
+  // 統計
+  $('fifoStats').textContent = [
+    `書き込み ${st.writes} / 読み出し ${st.reads} / データ不一致 ${st.dataErrors}`,
+    `full待ち ${st.fullStalls} / empty待ち ${st.emptyStalls}`,
+    `ポインタ1増分あたりの変化ビット: Binary ${(st.binToggles / Math.max(1, st.writes)).toFixed(2)} / Gray ${(st.grayToggles / Math.max(1, st.writes)).toFixed(2)}`,
+    `遷移中の取り込み ${st.midSamples}回: Gray誤デコード ${st.grayWrong} / Binary誤デコード ${st.binWild}（最大誤差 ${st.binMaxErr}）`
+  ].join('\n');
+
+  const log = $('fifoLog');
+  log.innerHTML = '';
+  sim.log.forEach(line => {
+    const li = document.createElement('li');
+    li.textContent = line;
+    log.appendChild(li);
+  });
+}
+
+/**
+ * FIFOシミュレーションのリセット
+ */
+function resetFifo() {
+  fifoSim = createFifoSim(readFifoOptions());
+  renderFifo();
+}
+
+/**
+ * FIFO自動実行の停止
+ */
+function stopFifo() {
+  if (fifoTimer) {
+    clearInterval(fifoTimer);
+    fifoTimer = null;
+  }
+  $('fifoRun').disabled = false;
+  $('fifoStop').disabled = true;
+}
+
+// ==========================================
+// FIFOタブ - イベントリスナー
+// ==========================================
+
+$('fifoRun').addEventListener('click', () => {
+  if (fifoTimer) clearInterval(fifoTimer);
+  fifoTimer = setInterval(() => {
+    const edges = parseInt($('fifoSpeed').value, 10) || 1;
+    for (let i = 0; i < edges; i++) stepFifoSim(fifoSim);
+    renderFifo();
+  }, 100);
+  $('fifoRun').disabled = true;
+  $('fifoStop').disabled = false;
+});
+
+$('fifoStop').addEventListener('click', stopFifo);
+
+$('fifoStep').addEventListener('click', () => {
+  stepFifoSim(fifoSim);
+  renderFifo();
+});
+
+$('fifoReset').addEventListener('click', resetFifo);
+
+// 周波数・レートは実行中にも反映（ポインタ状態は維持）
+['fifoWFreq', 'fifoRFreq', 'fifoWRate', 'fifoRRate', 'fifoWindow'].forEach(id => {
+  $(id).addEventListener('input', () => {
+    $(id + 'Value').textContent = $(id).value;
+    const { wFreq, rFreq, wRate, rRate, syncWindow } = readFifoOptions();
+    Object.assign(fifoSim.opts, { wFreq, rFreq, wRate, rRate, syncWindow });
+  });
+});
+$('fifoMeta').addEventListener('change', () => { fifoSim.opts.meta = $('fifoMeta').checked; });
+
+// 深さ・シードの変更は再初期化
+['fifoDepth', 'fifoSeed'].forEach(id => $(id).addEventListener('change', resetFifo));
+
+// メタステーブル・サンプリングの一括評価
+$('fifoTrialRun').addEventListener('click', () => {
+  const samples = Math.max(1, Math.min(100000, parseInt($('fifoTrials').value, 10) || 1000));
+  const opts = readFifoOptions();
+  const r = runMetastabilityTrials(opts.addrBits + 1, samples, opts.seed);
+  const pct = (x) => (100 * x / r.samples).toFixed(1);
+  const hist = r.binHist
+    .map((c, e) => (c ? `±${e}: ${c}` : ''))
+    .filter(Boolean)
+    .join(' / ');
+
+  $('fifoTrialResult').textContent = [
+    `${r.samples}回の遷移途中サンプリング（${opts.addrBits + 1}ビットポインタ）`,
+    `Gray: 誤デコード ${r.gray.wrong}回（${pct(r.gray.wrong)}%）、最大誤差 ${r.gray.maxErr} → 常に旧値か新値`,
+    `Binary: 誤デコード ${r.bin.wrong}回（${pct(r.bin.wrong)}%）、最大誤差 ${r.bin.maxErr}`,
+    `Binary誤差分布: ${hist}`
+  ].join('\n');
+});
+
+// ==========================================
+// Kマップタブ - カルノー図エディター
+// ==========================================
+
+const KMAP_VAR_NAMES = 'ABCDEF';
+const KMAP_DC = 2;            // ドントケア（X）のセル値
+const KMAP_CELL = 48;         // セルの一辺（px）
+const KMAP_LEFT = 72;         // 行見出しの幅（px）
+const KMAP_TOP = 56;          // 列見出しの高さ（px）
+const KMAP_GROUP_COLORS = 6;  // グループ枠の色数（CSSの .kg0〜.kg5）
+const KMAP_SEARCH_LIMIT = 20000; // 最小被覆探索の打ち切りノード数
+
+// カルノー図の状態（cells[m] は最小項 m の値: 0 / 1 / KMAP_DC）
+const kmapState = { vars: 4, cells: new Array(16).fill(0) };
+
+/**
+ * 図の配置（上位の変数を行、下位の変数を列に割り当てる）
+ * @param {number} vars - 変数の数（2〜6）
+ * @returns {{rowVars: number, colVars: number, rows: number, cols: number}} 配置
+ */
+function kmapLayout(vars) {
+  const rowVars = Math.floor(vars / 2);
+  const colVars = vars - rowVars;
+  return { rowVars, colVars, rows: 1 << rowVars, cols: 1 << colVars };
+}
+
+/**
+ * 図の位置（行・列）に対応する最小項番号
+ * 行・列の見出しはそれぞれ binToGray の順に並ぶ
+ * @param {number} r - 行位置
+ * @param {number} c - 列位置
+ * @param {{colVars: number}} layout - 配置
+ * @returns {number} 最小項番号
+ */
+const kmapMinterm = (r, c, layout) => (binToGray(r) << layout.colVars) | binToGray(c);
+
+/**
+ * 項（キューブ）が最小項を含むか
+ * 項は {value, mask} で表し、mask のビットはまとめられた（現れない）変数
+ * @param {{value: number, mask: number}} cube - 項
+ * @param {number} m - 最小項番号
+ * @returns {boolean} 含む場合 true
+ */
+const cubeCovers = (cube, m) => (m & ~cube.mask) === cube.value;
+
+const cubeKey = (cube) => `${cube.value}:${cube.mask}`;
+
+/**
+ * 項に含まれる最小項の一覧
+ * @param {{value: number, mask: number}} cube - 項
+ * @returns {number[]} 最小項番号（昇順）
+ */
+function cubeMinterms(cube) {
+  const list = [];
+  // mask の部分集合を列挙
+  for (let sub = cube.mask; ; sub = (sub - 1) & cube.mask) {
+    list.push(cube.value | sub);
+    if (sub === 0) break;
+  }
+  return list.sort((a, b) => a - b);
+}
+
+/**
+ * 図の上での主項の列挙
+ * 1（またはX）だけを含む全ての長方形グループ（2^k 個のセル）を調べ、
+ * それより大きなグループに含まれないものを主項とする
+ * @param {number[]} ones - まとめる対象のセル（最小項番号）
+ * @param {number[]} dcs - ドントケアのセル
+ * @param {number} vars - 変数の数
+ * @returns {Array<{value: number, mask: number}>} 主項
+ */
+function kmapPrimeImplicants(ones, dcs, vars) {
+  const size = 1 << vars;
+  const allowed = new Array(size).fill(false);
+  [...ones, ...dcs].forEach(m => { allowed[m] = true; });
+
+  const valid = new Set();
+  for (let mask = 0; mask < size; mask++) {
+    for (let value = 0; value < size; value++) {
+      if (value & mask) continue;
+      if (cubeMinterms({ value, mask }).every(m => allowed[m])) valid.add(`${value}:${mask}`);
+    }
+  }
+
+  const primes = [];
+  valid.forEach(key => {
+    const [value, mask] = key.split(':').map(Number);
+    let maximal = true;
+    for (let bit = 1; bit < size; bit <<= 1) {
+      if (!(mask & bit) && valid.has(`${value & ~bit}:${mask | bit}`)) {
+        maximal = false;
+        break;
+      }
+    }
+    // ドントケアだけのグループは不要
+    if (maximal && ones.some(m => cubeCovers({ value, mask }, m))) primes.push({ value, mask });
+  });
+  return primes;
+}
+
+/**
+ * クワイン・マクラスキー法による主項の導出（図による方法の検算用）
+ * 1ビットだけ異なる項どうしを繰り返し併合し、併合されなかった項を主項とする
+ * @param {number[]} ones - まとめる対象の最小項
+ * @param {number[]} dcs - ドントケア
+ * @returns {Array<{value: number, mask: number}>} 主項
+ */
+function quineMcCluskey(ones, dcs) {
+  let current = [...ones, ...dcs].map(m => ({ value: m, mask: 0 }));
+  const primes = [];
+
+  while (current.length) {
+    const next = new Map();
+    const merged = new Set();
+    // 同じ mask の項だけが併合できる
+    const byMask = new Map();
+    current.forEach(c => {
+      if (!byMask.has(c.mask)) byMask.set(c.mask, []);
+      byMask.get(c.mask).push(c);
+    });
+
+    byMask.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const diff = group[i].value ^ group[j].value;
+          if (hdist(diff, 0) !== 1) continue;
+          const cube = { value: group[i].value & ~diff, mask: group[i].mask | diff };
+          next.set(cubeKey(cube), cube);
+          merged.add(cubeKey(group[i]));
+          merged.add(cubeKey(group[j]));
+        }
+      }
+    });
+
+    current.forEach(c => {
+      if (!merged.has(cubeKey(c))) primes.push(c);
+    });
+    current = [...next.values()];
+  }
+
+  const unique = new Map(primes.map(p => [cubeKey(p), p]));
+  return [...unique.values()].filter(p => ones.some(m => cubeCovers(p, m)));
+}
+
+/**
+ * 項のリテラル数
+ * @param {{mask: number}} cube - 項
+ * @param {number} vars - 変数の数
+ * @returns {number} リテラル数
+ */
+const cubeLiterals = (cube, vars) => vars - hdist(cube.mask, 0);
+
+/**
+ * 主項から最小の被覆を選ぶ（必須主項 + 分枝限定法）
+ * 項数が最小、同数ならリテラル数が最小の組み合わせを選ぶ
+ * @param {Array<{value: number, mask: number}>} primes - 主項
+ * @param {number[]} ones - 被覆すべき最小項
+ * @param {number} vars - 変数の数
+ * @returns {{chosen: number[], essential: number[], exact: boolean}} 採用した主項の番号
+ */
+function selectCover(primes, ones, vars) {
+  const coveredBy = new Map(ones.map(m => [m, []]));
+  primes.forEach((p, i) => ones.forEach(m => {
+    if (cubeCovers(p, m)) coveredBy.get(m).push(i);
+  }));
+
+  // 必須主項: それだけが覆う最小項を持つ主項
+  const essential = new Set();
+  coveredBy.forEach(list => {
+    if (list.length === 1) essential.add(list[0]);
+  });
+
+  const isCovered = (m, chosen) => chosen.some(i => cubeCovers(primes[i], m));
+  const cost = (chosen) => [chosen.length, chosen.reduce((s, i) => s + cubeLiterals(primes[i], vars), 0)];
+  const better = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+
+  let best = null;
+  let bestCost = [Infinity, Infinity];
+  let nodes = 0;
+  let exact = true;
+
+  const search = (chosen) => {
+    if (++nodes > KMAP_SEARCH_LIMIT) {
+      exact = false;
+      if (best) return;
+    }
+    const c = cost(chosen);
+    if (best && !better(c, bestCost) && c[0] >= bestCost[0]) return;
+
+    const uncovered = ones.filter(m => !isCovered(m, chosen));
+    if (!uncovered.length) {
+      if (better(c, bestCost)) {
+        best = chosen;
+        bestCost = c;
+      }
+      return;
+    }
+    if (best && c[0] + 1 > bestCost[0]) return;
+
+    // 候補が最も少ない最小項から分岐
+    let pivot = uncovered[0];
+    uncovered.forEach(m => {
+      if (coveredBy.get(m).length < coveredBy.get(pivot).length) pivot = m;
+    });
+    const candidates = [...coveredBy.get(pivot)].sort((a, b) =>
+      ones.filter(m => cubeCovers(primes[b], m)).length - ones.filter(m => cubeCovers(primes[a], m)).length);
+    for (const i of candidates) {
+      search([...chosen, i]);
+      if (!exact && best) return;
+    }
+  };
+
+  search([...essential]);
+  return { chosen: best || [], essential: [...essential], exact };
+}
+
+/**
+ * 項を式の文字列に変換（否定は A' と表記）
+ * @param {{value: number, mask: number}} cube - 項
+ * @param {number} vars - 変数の数
+ * @param {string} form - 'sop'（積項）| 'pos'（和項）
+ * @returns {string} 項の文字列
+ */
+function formatCube(cube, vars, form) {
+  const literals = [];
+  for (let i = 0; i < vars; i++) {
+    const bit = 1 << (vars - 1 - i);
+    if (cube.mask & bit) continue;
+    const one = (cube.value & bit) !== 0;
+    // 和項は 0 のグループを表すので極性が反転する
+    const positive = form === 'sop' ? one : !one;
+    literals.push(KMAP_VAR_NAMES[i] + (positive ? '' : "'"));
+  }
+  if (form === 'sop') return literals.length ? literals.join('') : '1';
+  if (literals.length === 1) return literals[0];
+  return literals.length ? `(${literals.join(' + ')})` : '0';
+}
+
+/**
+ * 最小項リストの解析（セキュリティ強化版）
+ * カンマ・空白区切り、a-b の範囲指定に対応
+ * @param {string} text - 入力文字列
+ * @param {number} size - 最小項の数（2^変数）
+ * @returns {{list: number[]}|{error: string}} 最小項またはエラー
+ */
+function parseMintermList(text, size) {
+  const list = new Set();
+  const tokens = String(text).split(/[\s,]+/).filter(Boolean);
+  for (const token of tokens) {
+    const m = token.match(/^(\d{1,3})(?:-(\d{1,3}))?$/);
+    if (!m) return { error: `「${token.slice(0, 16)}」は最小項番号ではありません` };
+    const from = parseInt(m[1], 10);
+    const to = m[2] === undefined ? from : parseInt(m[2], 10);
+    if (from > to || to >= size) return { error: `最小項は 0〜${size - 1} の範囲で指定してください（${token}）` };
+    for (let i = from; i <= to; i++) list.add(i);
+  }
+  return { list: [...list].sort((a, b) => a - b) };
+}
+
+/**
+ * 真理値表テキストの解析（セキュリティ強化版）
+ * 「入力ビット 出力」の行、または出力列だけの1行を受け付ける。記載のない行は 0
+ * @param {string} text - 入力テキスト
+ * @param {number} vars - 変数の数
+ * @returns {{cells: number[]}|{error: string}} セル値またはエラー
+ */
+function parseTruthTable(text, vars) {
+  const size = 1 << vars;
+  const outputValue = (ch) => (ch === '1' ? 1 : ch === '0' ? 0 : /^[xX-]$/.test(ch) ? KMAP_DC : null);
+  const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (!lines.length) return { error: '真理値表が空です' };
+
+  // 出力列だけの1行
+  const column = lines.length === 1 ? lines[0].replace(/[\s,]/g, '') : '';
+  if (column.length === size && /^[01xX-]+$/.test(column)) {
+    return { cells: [...column].map(outputValue) };
+  }
+
+  const cells = new Array(size).fill(0);
+  for (let k = 0; k < lines.length; k++) {
+    const tokens = lines[k].split(/[\s,;|]+/).filter(Boolean);
+    const output = tokens.length >= 2 ? outputValue(tokens[tokens.length - 1]) : null;
+    const input = tokens.slice(0, -1).join('');
+    if (output === null || !/^[01]+$/.test(input) || input.length !== vars) {
+      // 1行目の見出し（A B C D F など）は読み飛ばす
+      if (k === 0 && /[a-wyzA-WYZ]/.test(lines[k])) continue;
+      return { error: `${k + 1}行目: 「${vars}ビットの入力 出力」の形式ではありません` };
+    }
+    cells[parseInt(input, 2)] = output;
+  }
+  return { cells };
+}
+
+/**
+ * 現在の図を簡単化する
+ * 図による主項の列挙とクワイン・マクラスキー法の結果を照合し、
+ * 選んだ被覆が全てのセル（ドントケア以外）で元の関数と一致するか検証する
+ * @returns {object} 簡単化の結果
+ */
+function minimizeKmap() {
+  const { vars, cells } = kmapState;
+  const form = $('kmapForm').value === 'pos' ? 'pos' : 'sop';
+  const target = form === 'sop' ? 1 : 0;
+  const ones = [];
+  const dcs = [];
+  cells.forEach((v, m) => {
+    if (v === target) ones.push(m);
+    else if (v === KMAP_DC) dcs.push(m);
+  });
+
+  const primes = kmapPrimeImplicants(ones, dcs, vars)
+    .sort((a, b) => cubeLiterals(a, vars) - cubeLiterals(b, vars) || a.value - b.value || a.mask - b.mask);
+  const qmKeys = new Set(quineMcCluskey(ones, dcs).map(cubeKey));
+  const qmMatch = qmKeys.size === primes.length && primes.every(p => qmKeys.has(cubeKey(p)));
+
+  const cover = selectCover(primes, ones, vars);
+  const chosen = cover.chosen.sort((a, b) => a - b);
+  const mismatches = cells.filter((v, m) => v !== KMAP_DC &&
+    (v === target) !== chosen.some(i => cubeCovers(primes[i], m))).length;
+
+  const terms = chosen.map(i => formatCube(primes[i], vars, form));
+  const expr = form === 'sop' ? (terms.join(' + ') || '0') : (terms.join('') || '1');
+
+  return { form, primes, qmCount: qmKeys.size, qmMatch, chosen, essential: cover.essential,
+    exact: cover.exact, mismatches, expr: `F = ${expr}` };
+}
+
+/**
+ * 軸方向の連続区間（グループ枠を描く単位）
+ * @param {boolean[]} covered - 各位置がグループに含まれるか
+ * @returns {Array<[number, number]>} [開始, 終了] の区間
+ */
+function coveredRuns(covered) {
+  const runs = [];
+  covered.forEach((on, i) => {
+    if (!on) return;
+    if (runs.length && runs[runs.length - 1][1] === i - 1) runs[runs.length - 1][1] = i;
+    else runs.push([i, i]);
+  });
+  return runs;
+}
+
+/**
+ * カルノー図の描画
+ * @param {object} result - minimizeKmap の結果
+ */
+function drawKmap(result) {
+  const { vars, cells } = kmapState;
+  const layout = kmapLayout(vars);
+  const svg = $('kmapSvg');
+  const width = KMAP_LEFT + layout.cols * KMAP_CELL + 8;
+  const height = KMAP_TOP + layout.rows * KMAP_CELL + 8;
+  svg.innerHTML = '';
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+
+  // 角の見出し（行変数＼列変数）
+  const rowNames = KMAP_VAR_NAMES.slice(0, layout.rowVars);
+  const colNames = KMAP_VAR_NAMES.slice(layout.rowVars, vars);
+  svg.appendChild(svgEl('line', { x1: 8, y1: 8, x2: KMAP_LEFT, y2: KMAP_TOP, class: 'kmap-axis' }));
+  svg.appendChild(svgEl('text', { x: 10, y: KMAP_TOP - 4, class: 'kmap-var' }, rowNames));
+  svg.appendChild(svgEl('text', { x: KMAP_LEFT - 4, y: 18, 'text-anchor': 'end', class: 'kmap-var' }, colNames));
+
+  for (let c = 0; c < layout.cols; c++) {
+    svg.appendChild(svgEl('text', {
+      x: KMAP_LEFT + c * KMAP_CELL + KMAP_CELL / 2, y: KMAP_TOP - 10, 'text-anchor': 'middle', class: 'kmap-head'
+    }, pad(binToGray(c), layout.colVars)));
+  }
+  for (let r = 0; r < layout.rows; r++) {
+    svg.appendChild(svgEl('text', {
+      x: KMAP_LEFT - 10, y: KMAP_TOP + r * KMAP_CELL + KMAP_CELL / 2 + 5, 'text-anchor': 'end', class: 'kmap-head'
+    }, pad(binToGray(r), layout.rowVars)));
+  }
+
+  // セル
+  for (let r = 0; r < layout.rows; r++) {
+    for (let c = 0; c < layout.cols; c++) {
+      const m = kmapMinterm(r, c, layout);
+      const v = cells[m];
+      const x = KMAP_LEFT + c * KMAP_CELL;
+      const y = KMAP_TOP + r * KMAP_CELL;
+      const g = svgEl('g', { class: `kmap-cell${v === 1 ? ' on' : v === KMAP_DC ? ' dc' : ''}`, 'data-minterm': m });
+      g.appendChild(svgEl('rect', { x, y, width: KMAP_CELL, height: KMAP_CELL }));
+      g.appendChild(svgEl('text', { x: x + 4, y: y + 12, class: 'kmap-index' }, String(m)));
+      g.appendChild(svgEl('text', {
+        x: x + KMAP_CELL / 2, y: y + KMAP_CELL / 2 + 7, 'text-anchor': 'middle', class: 'kmap-value'
+      }, v === KMAP_DC ? 'X' : String(v)));
+      svg.appendChild(g);
+    }
+  }
+
+  // グループ枠（行・列それぞれの連続区間ごとに角丸の長方形を描く）
+  const shown = $('kmapShowAll').checked ? result.primes.map((_, i) => i) : result.chosen;
+  shown.forEach(i => {
+    const p = result.primes[i];
+    const rowCovered = Array.from({ length: layout.rows }, (_, r) =>
+      (binToGray(r) & ~(p.mask >> layout.colVars)) === p.value >> layout.colVars);
+    const colMask = (1 << layout.colVars) - 1;
+    const colCovered = Array.from({ length: layout.cols }, (_, c) =>
+      (binToGray(c) & ~(p.mask & colMask)) === (p.value & colMask));
+    const inset = 4 + (i % 3) * 3;
+    const cls = `kmap-group kg${i % KMAP_GROUP_COLORS}${result.chosen.includes(i) ? '' : ' unused'}`;
+
+    coveredRuns(rowCovered).forEach(([r0, r1]) => {
+      coveredRuns(colCovered).forEach(([c0, c1]) => {
+        svg.appendChild(svgEl('rect', {
+          x: KMAP_LEFT + c0 * KMAP_CELL + inset,
+          y: KMAP_TOP + r0 * KMAP_CELL + inset,
+          width: (c1 - c0 + 1) * KMAP_CELL - inset * 2,
+          height: (r1 - r0 + 1) * KMAP_CELL - inset * 2,
+          rx: 10,
+          class: cls
+        }));
+      });
+    });
+  });
+}
+
+/**
+ * 主項の一覧表の描画
+ * @param {object} result - minimizeKmap の結果
+ */
+function renderKmapImplicants(result) {
+  const tbody = $('kmapImplTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+  result.primes.forEach((p, i) => {
+    const tr = document.createElement('tr');
+    if (result.chosen.includes(i)) tr.classList.add('active');
+
+    const swatchCell = document.createElement('td');
+    const swatch = document.createElement('span');
+    swatch.className = `kmap-swatch kg${i % KMAP_GROUP_COLORS}`;
+    swatchCell.appendChild(swatch);
+
+    const cols = [
+      formatCube(p, kmapState.vars, result.form),
+      cubeMinterms(p).join(', '),
+      result.essential.includes(i) ? '必須' : '',
+      result.chosen.includes(i) ? '✓' : ''
+    ].map(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      return td;
+    });
+    cols[0].className = 'mono';
+    tr.append(swatchCell, ...cols);
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * 入力欄（最小項・真理値表）を現在の図に合わせる
+ */
+function syncKmapInputs() {
+  const { vars, cells } = kmapState;
+  const pick = (value) => cells.map((v, m) => (v === value ? m : -1)).filter(m => m >= 0).join(', ');
+  $('kmapMinterms').value = pick(1);
+  $('kmapDontCares').value = pick(KMAP_DC);
+  $('kmapTruth').value = [`${KMAP_VAR_NAMES.slice(0, vars)} F`]
+    .concat(cells.map((v, m) => `${pad(m, vars)} ${v === KMAP_DC ? 'X' : v}`))
+    .join('\n');
+}
+
+/**
+ * Kマップタブ全体の更新
+ */
+function renderKmap() {
+  const result = minimizeKmap();
+  $('kmapError').textContent = '';
+  drawKmap(result);
+  renderKmapImplicants(result);
+  syncKmapInputs();
+
+  $('kmapExpr').textContent = result.expr;
+  $('kmapCount').textContent = `${result.primes.length}個 / ${result.chosen.length}個` +
+    (result.exact ? '' : '（探索打ち切り: 最小とは限りません）');
+
+  const ok = result.qmMatch && result.mismatches === 0;
+  const check = $('kmapCheck');
+  check.classList.toggle('error-text', !ok);
+  check.textContent = [
+    result.qmMatch ? `✓ 主項 ${result.qmCount}個が一致` : `✗ 主項が不一致（QM法 ${result.qmCount}個）`,
+    result.mismatches === 0 ? `✓ 全${1 << kmapState.vars}行で元の関数と一致` : `✗ ${result.mismatches}行で不一致`
+  ].join(' / ');
+}
+
+// ==========================================
+// Kマップタブ - イベントリスナー
+// ==========================================
+
+// 変数の数の変更（セキュリティ強化版）
+$('kmapVars').addEventListener('change', e => {
+  const numVal = parseInt(e.target.value, 10);
+  if (isNaN(numVal) || !isFinite(numVal)) {
+    console.warn('Invalid K-map variable count:', e.target.value);
+    e.target.value = kmapState.vars;
+    return;
+  }
+  const vars = Math.max(2, Math.min(6, numVal));
+  e.target.value = vars;
+
+  // 変数を増やした場合は既存の値を残し、増えたセルは 0 とする
+  const size = 1 << vars;
+  kmapState.cells = Array.from({ length: size }, (_, m) => kmapState.cells[m] || 0);
+  kmapState.vars = vars;
+  renderKmap();
+});
+
+// セルのクリックで 0 → 1 → X を切り替え
+$('kmapSvg').addEventListener('click', e => {
+  const cell = e.target.closest('[data-minterm]');
+  if (!cell) return;
+  const m = parseInt(cell.dataset.minterm, 10);
+  kmapState.cells[m] = (kmapState.cells[m] + 1) % 3;
+  renderKmap();
+});
+
+['kmapForm', 'kmapShowAll'].forEach(id => $(id).addEventListener('change', renderKmap));
+
+// 最小項リストの反映
+$('kmapApply').addEventListener('click', () => {
+  const size = 1 << kmapState.vars;
+  const ones = parseMintermList($('kmapMinterms').value, size);
+  const dcs = parseMintermList($('kmapDontCares').value, size);
+  const error = ones.error || dcs.error ||
+    (ones.list.some(m => dcs.list.includes(m)) ? '同じ最小項が m と d の両方にあります' : '');
+  $('kmapError').textContent = error;
+  if (error) return;
+
+  kmapState.cells = new Array(size).fill(0);
+  ones.list.forEach(m => { kmapState.cells[m] = 1; });
+  dcs.list.forEach(m => { kmapState.cells[m] = KMAP_DC; });
+  renderKmap();
+});
+
+// 真理値表の反映
+$('kmapTruthApply').addEventListener('click', () => {
+  const parsed = parseTruthTable($('kmapTruth').value, kmapState.vars);
+  $('kmapError').textContent = parsed.error || '';
+  if (parsed.error) return;
+  kmapState.cells = parsed.cells;
+  renderKmap();
+});
+
+$('kmapClear').addEventListener('click', () => {
+  kmapState.cells = new Array(1 << kmapState.vars).fill(0);
+  renderKmap();
+});
+
+// ==========================================
+// 電力解析タブ - サイドチャネル電力モデル
+// ==========================================
+
+const POWER_MODELS = { hd: 'ハミング距離', hw: 'ハミング重み' };
+
+/**
+ * 数値入力の検証と範囲制限（セキュリティ強化版）
+ * 不正な値は既定値に戻し、修正した値を入力欄に書き戻す
+ * @param {string} id - 入力要素のID
+ * @param {number} min - 最小値
+ * @param {number} max - 最大値
+ * @param {number} fallback - 不正な入力のときの値
+ * @returns {number} 検証済みの整数
+ */
+function readClampedInt(id, min, max, fallback) {
+  const numVal = parseInt($(id).value, 10);
+  if (isNaN(numVal) || !isFinite(numVal)) console.warn(`Invalid input for ${id}:`, $(id).value);
+  const safe = isFinite(numVal) ? Math.max(min, Math.min(max, numVal)) : fallback;
+  $(id).value = String(safe);
+  return safe;
+}
+
+/**
+ * 電力解析の設定を画面から取得
+ * @returns {{bits: number, source: string, samples: number, model: string, noise: number, seed: number}} 設定
+ */
+function readPowerOptions() {
+  return {
+    bits: readClampedInt('powerBits', 1, 16, 8),
+    source: $('powerSource').value === 'random' ? 'random' : 'counter',
+    samples: readClampedInt('powerSamples', 16, 4096, 512),
+    model: Object.hasOwn(POWER_MODELS, $('powerModel').value) ? $('powerModel').value : 'hd',
+    noise: Math.max(0, Math.min(4, parseFloat($('powerNoise').value) || 0)),
+    seed: readClampedInt('powerSeed', 0, 0xFFFFFFFF, 1)
+  };
+}
+
+/**
+ * レジスタの消費電力のシミュレーション
+ * 各時刻にレジスタへ値を書き込み、リークモデルに従う消費電力にガウスノイズを加える
+ *   ハミング距離モデル: hdist(前の値, 今の値)（CMOSで充放電されるビット数）
+ *   ハミング重み モデル: hdist(今の値, 0)（1のビット数）
+ * @param {object} opts - readPowerOptions の設定
+ * @returns {{values: number[], bin: {signal: number[], trace: number[]}, gray: {signal: number[], trace: number[]}}} 結果
+ */
+function simulatePower(opts) {
+  const rng = createRng(opts.seed);
+  const size = 2 ** opts.bits;
+  const values = [];
+  const bin = { signal: [], trace: [] };
+  const gray = { signal: [], trace: [] };
+  const leak = (prev, cur) => (opts.model === 'hd' ? hdist(prev, cur) : hdist(cur, 0));
+  // カウンターは t=0 の直前に最大値から 0 へ周回したものとする（ランダムなデータは 0 から開始）
+  let prevBin = opts.source === 'counter' ? size - 1 : 0;
+  let prevGray = binToGray(prevBin);
+
+  for (let t = 0; t < opts.samples; t++) {
+    const v = opts.source === 'counter' ? t % size : Math.floor(rng() * size);
+    const g = binToGray(v);
+    const noise = opts.noise * randNormal(rng); // 両方に同じノイズを加える
+    values.push(v);
+    bin.signal.push(leak(prevBin, v));
+    gray.signal.push(leak(prevGray, g));
+    bin.trace.push(bin.signal[t] + noise);
+    gray.trace.push(gray.signal[t] + noise);
+    prevBin = v;
+    prevGray = g;
+  }
+  return { values, bin, gray };
+}
+
+/**
+ * 平均
+ * @param {number[]} xs - 数列
+ * @returns {number} 平均値
+ */
+const meanOf = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+
+/**
+ * 分散（母分散）
+ * @param {number[]} xs - 数列
+ * @returns {number} 分散
+ */
+function varianceOf(xs) {
+  const m = meanOf(xs);
+  return xs.reduce((s, x) => s + (x - m) ** 2, 0) / xs.length;
+}
+
+/**
+ * ピアソンの相関係数（どちらかの分散が0なら NaN）
+ * @param {number[]} xs - 数列
+ * @param {number[]} ys - 数列（xs と同じ長さ）
+ * @returns {number} 相関係数
+ */
+function pearson(xs, ys) {
+  const mx = meanOf(xs);
+  const my = meanOf(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+}
+
+/**
+ * 消費電力トレースの描画（Binary・Grayを重ねて表示）
+ * @param {object} sim - simulatePower の結果
+ */
+function drawPowerTrace(sim) {
+  const canvas = $('powerTrace');
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  ctx.clearRect(0, 0, W, H);
+
+  const all = sim.bin.trace.concat(sim.gray.trace);
+  const lo = Math.min(0, ...all);
+  const hi = Math.max(1, ...all);
+  const left = 36;
+  const top = 10;
+  const plotH = H - top - 20;
+  const dx = (W - left - 8) / sim.values.length;
+  const yAt = (p) => top + (hi - p) / (hi - lo) * plotH;
+
+  const fg = getCSSVar('fg');
+  const accent = getCSSVar('canvas-accent');
+  const border = getCSSVar('canvas-border');
+
+  // 目盛り（整数の消費電力）
+  ctx.font = '10px monospace';
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'right';
+  ctx.strokeStyle = border;
+  ctx.lineWidth = 1;
+  const tick = Math.max(1, Math.ceil((hi - lo) / 8));
+  for (let p = Math.ceil(lo); p <= hi; p += tick) {
+    ctx.fillStyle = fg;
+    ctx.fillText(String(p), left - 4, yAt(p));
+    ctx.beginPath();
+    ctx.moveTo(left, yAt(p));
+    ctx.lineTo(W - 8, yAt(p));
+    ctx.stroke();
+  }
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`t = 0 … ${sim.values.length - 1}`, left, H - 14);
+
+  [[sim.bin.trace, fg], [sim.gray.trace, accent]].forEach(([trace, color]) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.2;
+    ctx.beginPath();
+    trace.forEach((p, t) => {
+      const x = left + (t + 0.5) * dx;
+      if (t === 0) ctx.moveTo(x, yAt(p));
+      else ctx.lineTo(x, yAt(p));
+    });
+    ctx.stroke();
+  });
+}
+
+/**
+ * 値と消費電力の散布図の描画
+ * @param {object} sim - simulatePower の結果
+ * @param {number} bits - レジスタのビット数
+ */
+function drawPowerScatter(sim, bits) {
+  const canvas = $('powerScatter');
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  ctx.clearRect(0, 0, W, H);
+
+  const all = sim.bin.trace.concat(sim.gray.trace);
+  const lo = Math.min(0, ...all);
+  const hi = Math.max(1, ...all);
+  const left = 36;
+  const top = 10;
+  const plotW = W - left - 8;
+  const plotH = H - top - 20;
+  const maxVal = 2 ** bits - 1 || 1;
+  const xAt = (v) => left + v / maxVal * plotW;
+  const yAt = (p) => top + (hi - p) / (hi - lo) * plotH;
+
+  const fg = getCSSVar('fg');
+  const accent = getCSSVar('canvas-accent');
+
+  ctx.font = '10px monospace';
+  ctx.fillStyle = fg;
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.fillText('0', left, H - 14);
+  ctx.textAlign = 'right';
+  ctx.fillText(String(maxVal), W - 8, H - 14);
+
+  [[sim.bin.trace, fg], [sim.gray.trace, accent]].forEach(([trace, color]) => {
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.6;
+    trace.forEach((p, t) => ctx.fillRect(xAt(sim.values[t]) - 1.5, yAt(p) - 1.5, 3, 3));
+  });
+  ctx.globalAlpha = 1;
+}
+
+/**
+ * 統計表の描画（分散・SNR・値との相関）
+ * @param {object} sim - simulatePower の結果
+ * @param {object} opts - 設定
+ */
+function renderPowerStats(sim, opts) {
+  const fmt = (x, digits = 3) => (isFinite(x) ? x.toFixed(digits) : '—');
+  const stats = [sim.bin, sim.gray].map(enc => {
+    const signalVar = varianceOf(enc.signal);
+    const noiseVar = opts.noise ** 2;
+    return {
+      mean: meanOf(enc.trace),
+      variance: varianceOf(enc.trace),
+      signalVar,
+      snr: noiseVar ? signalVar / noiseVar : signalVar ? Infinity : NaN,
+      corr: pearson(sim.values, enc.trace),
+      peak: Math.max(...enc.signal)
+    };
+  });
+
+  const rows = [
+    ['平均消費電力', s => fmt(s.mean)],
+    ['分散（トレース全体）', s => fmt(s.variance)],
+    ['分散（信号のみ・ノイズ除く）', s => fmt(s.signalVar)],
+    ['SNR（信号の分散 / ノイズの分散）', s => (s.snr === Infinity ? '∞' : fmt(s.snr, 2))],
+    ['値との相関係数 r', s => fmt(s.corr)],
+    ['最大消費（ノイズ除く）', s => String(s.peak)]
+  ];
+
+  const tbody = $('powerStatsTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+  rows.forEach(([label, get]) => {
+    const tr = document.createElement('tr');
+    [label, get(stats[0]), get(stats[1])].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * 電力解析タブ全体の更新
+ */
+function renderPower() {
+  const opts = readPowerOptions();
+  const sim = simulatePower(opts);
+  drawPowerTrace(sim);
+  drawPowerScatter(sim, opts.bits);
+  renderPowerStats(sim, opts);
+  $('powerInfo').textContent =
+    `${opts.samples}サンプル / ${opts.bits}ビット / ${POWER_MODELS[opts.model]}モデル / σ=${opts.noise}`;
+}
+
+// ==========================================
+// 電力解析タブ - イベントリスナー
+// ==========================================
+
+['powerBits', 'powerSource', 'powerSamples', 'powerModel', 'powerSeed'].forEach(id => {
+  $(id).addEventListener('change', renderPower);
+});
+$('powerNoise').addEventListener('input', () => {
+  $('powerNoiseValue').textContent = $('powerNoise').value;
+  renderPower();
+});
+
+// ==========================================
+// QAMタブ - コンスタレーションとビット誤り率
+// ==========================================
+
+const QAM_SCHEMES = {
+  qam4: { label: '4-QAM', kind: 'qam', order: 4 },
+  qam16: { label: '16-QAM', kind: 'qam', order: 16 },
+  qam64: { label: '64-QAM', kind: 'qam', order: 64 },
+  psk8: { label: '8-PSK', kind: 'psk', order: 8 }
+};
+const QAM_LABELS = { gray: 'Gray', natural: '自然2進' };
+const QAM_EXTENT = 1.3; // 図の表示範囲（±、平均シンボルエネルギー1で正規化した座標）
+const QAM_SLICE_MS = 30; // 1回のタイマー処理で計算する時間の目安（画面を固めないため）
+const QAM_CHUNK = 1000;  // 経過時間を確認する間隔（シンボル数）
+
+// QAMタブの状態（timer は実行中のBERシミュレーション）
+const qamState = { constellation: null, selected: 0, ber: null, timer: null };
+
+/**
+ * コンスタレーション（信号点配置）の生成
+ * QAMは各軸 √M 値の格子で、Grayラベルは I・Q それぞれの位置番号を binToGray して連結する
+ * PSKは円周上の等間隔配置で、Grayラベルは位相の番号を binToGray する
+ * 平均シンボルエネルギーは1に正規化する
+ * @param {string} scheme - QAM_SCHEMES のキー
+ * @returns {{scheme: string, def: object, bits: number, m: number, scale: number,
+ *            points: Array<{x: number, y: number, gray: number, natural: number}>}} 配置
+ */
+function buildConstellation(scheme) {
+  const def = QAM_SCHEMES[scheme];
+  const bits = Math.log2(def.order);
+  const points = [];
+  let m = 0;
+  let scale = 1;
+
+  if (def.kind === 'psk') {
+    for (let k = 0; k < def.order; k++) {
+      const a = 2 * Math.PI * k / def.order;
+      points.push({ x: Math.cos(a), y: Math.sin(a), gray: binToGray(k), natural: k });
+    }
+  } else {
+    m = Math.sqrt(def.order);
+    const axisBits = bits / 2;
+    scale = Math.sqrt(2 * (def.order - 1) / 3); // ±1, ±3, … の格子の平均エネルギーの平方根
+    for (let i = 0; i < m; i++) {
+      for (let q = 0; q < m; q++) {
+        points.push({
+          x: (2 * i - (m - 1)) / scale,
+          y: (2 * q - (m - 1)) / scale,
+          gray: (binToGray(i) << axisBits) | binToGray(q),
+          natural: (i << axisBits) | q
+        });
+      }
+    }
+  }
+  return { scheme, def, bits, m, scale, points };
+}
+
+/**
+ * 受信点に最も近いシンボルの判定（最尤判定）
+ * @param {object} c - buildConstellation の結果
+ * @param {number} x - 受信点のI成分
+ * @param {number} y - 受信点のQ成分
+ * @returns {number} シンボル番号
+ */
+function detectSymbol(c, x, y) {
+  if (c.def.kind === 'psk') {
+    const k = Math.round(Math.atan2(y, x) / (2 * Math.PI / c.def.order));
+    return ((k % c.def.order) + c.def.order) % c.def.order;
+  }
+  const slice = (v) => Math.max(0, Math.min(c.m - 1, Math.round((v * c.scale + (c.m - 1)) / 2)));
+  return slice(x) * c.m + slice(y);
+}
+
+/**
+ * 最も近い（ユークリッド距離が最小の）隣接シンボル
+ * @param {object} c - buildConstellation の結果
+ * @param {number} s - シンボル番号
+ * @returns {number[]} 隣接シンボルの番号
+ */
+function nearestNeighbors(c, s) {
+  const p = c.points[s];
+  const dist = c.points.map(o => Math.hypot(o.x - p.x, o.y - p.y));
+  const min = Math.min(...dist.filter((d, i) => i !== s));
+  return dist.map((d, i) => i).filter(i => i !== s && dist[i] < min * 1.0001);
+}
+
+/**
+ * 実行中のBERシミュレーションを打ち切る
+ */
+function stopBerSimulation() {
+  clearTimeout(qamState.timer);
+  qamState.timer = null;
+}
+
+/**
+ * AWGN通信路のモンテカルロ・シミュレーション
+ * 各 Eb/N0 でランダムなシンボルを送り、最尤判定の結果から
+ * Gray・自然2進それぞれのラベルで誤ったビット数を数える（送信シンボル・雑音は共通）。
+ * 掃引点 × シンボル数が大きいと数十秒かかるため、QAM_SLICE_MS ごとにタイマーへ処理を返して進捗を通知する
+ * （乱数は同じ順に使うので、分割しても結果は変わらない）
+ * @param {object} c - buildConstellation の結果
+ * @param {{snrs: number[], symbols: number, seed: number}} opts - 設定
+ * @param {function(number): void} onProgress - 進捗（0〜1）の通知
+ * @param {function(Array<{snr: number, ser: number, gray: number, natural: number}>): void} onDone - Eb/N0 ごとの誤り率の通知
+ */
+function simulateBer(c, opts, onProgress, onDone) {
+  stopBerSimulation();
+  const rng = createRng(opts.seed);
+  const results = [];
+  const total = opts.snrs.length * opts.symbols;
+  let point = 0;
+  let t = 0;
+  let counts = { symErr: 0, grayErr: 0, natErr: 0 };
+
+  const work = () => {
+    const start = performance.now();
+    while (point < opts.snrs.length && performance.now() - start < QAM_SLICE_MS) {
+      const snr = opts.snrs[point];
+      const ebN0 = 10 ** (snr / 10);
+      const sigma = Math.sqrt(1 / (2 * c.bits * ebN0)); // Es = 1, Eb = Es / bits, σ² = N0 / 2
+      const end = Math.min(opts.symbols, t + QAM_CHUNK);
+      for (; t < end; t++) {
+        const s = Math.floor(rng() * c.def.order);
+        const p = c.points[s];
+        const d = detectSymbol(c, p.x + sigma * randNormal(rng), p.y + sigma * randNormal(rng));
+        if (d === s) continue;
+        counts.symErr++;
+        counts.grayErr += hdist(p.gray, c.points[d].gray);
+        counts.natErr += hdist(p.natural, c.points[d].natural);
+      }
+      if (t === opts.symbols) {
+        const totalBits = opts.symbols * c.bits;
+        results.push({
+          snr,
+          ser: counts.symErr / opts.symbols,
+          gray: counts.grayErr / totalBits,
+          natural: counts.natErr / totalBits
+        });
+        counts = { symErr: 0, grayErr: 0, natErr: 0 };
+        point++;
+        t = 0;
+      }
+    }
+    if (point < opts.snrs.length) {
+      onProgress((point * opts.symbols + t) / total);
+      qamState.timer = setTimeout(work, 0);
+      return;
+    }
+    qamState.timer = null;
+    onDone(results);
+  };
+  work();
+}
+
+/**
+ * コンスタレーションの描画（選択中のシンボルから隣接点へ線とハミング距離を表示）
+ */
+function drawConstellation() {
+  const c = qamState.constellation;
+  const canvas = $('qamCanvas');
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const unit = W / (2 * QAM_EXTENT);
+  const toX = (x) => W / 2 + x * unit;
+  const toY = (y) => H / 2 - y * unit;
+  const labelKey = $('qamLabel').value === 'natural' ? 'natural' : 'gray';
+  ctx.clearRect(0, 0, W, H);
+
+  const fg = getCSSVar('fg');
+  const accent = getCSSVar('canvas-accent');
+  const border = getCSSVar('canvas-border');
+  const errorColor = getCSSVar('canvas-error');
+
+  // I・Q軸
+  ctx.strokeStyle = border;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, H / 2);
+  ctx.lineTo(W, H / 2);
+  ctx.moveTo(W / 2, 0);
+  ctx.lineTo(W / 2, H);
+  ctx.stroke();
+  ctx.fillStyle = fg;
+  ctx.font = '11px monospace';
+  ctx.fillText('I', W - 12, H / 2 - 6);
+  ctx.fillText('Q', W / 2 + 6, 12);
+
+  // 選択中のシンボルと隣接点を結ぶ線（中点にハミング距離）
+  const sel = c.points[qamState.selected];
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  nearestNeighbors(c, qamState.selected).forEach(i => {
+    const o = c.points[i];
+    const d = hdist(sel[labelKey], o[labelKey]);
+    ctx.strokeStyle = d > 1 ? errorColor : accent;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(toX(sel.x), toY(sel.y));
+    ctx.lineTo(toX(o.x), toY(o.y));
+    ctx.stroke();
+    ctx.fillStyle = d > 1 ? errorColor : accent;
+    ctx.font = 'bold 12px monospace';
+    ctx.fillText(String(d), toX((sel.x + o.x) / 2) + 8, toY((sel.y + o.y) / 2) - 8);
+  });
+
+  // シンボル点とラベル
+  ctx.font = `${c.def.order > 16 ? 9 : 11}px monospace`;
+  c.points.forEach((p, i) => {
+    const selected = i === qamState.selected;
+    ctx.fillStyle = selected ? accent : fg;
+    ctx.beginPath();
+    ctx.arc(toX(p.x), toY(p.y), selected ? 6 : 4, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillText(pad(p[labelKey], c.bits), toX(p.x), toY(p.y) + 12);
+  });
+}
+
+/**
+ * 選択したシンボルの隣接点の一覧と、全シンボルでの平均ハミング距離
+ */
+function renderQamNeighbors() {
+  const c = qamState.constellation;
+  const sel = c.points[qamState.selected];
+  $('qamSelected').textContent = `${pad(sel.gray, c.bits)} / ${pad(sel.natural, c.bits)}`;
+
+  const tbody = $('qamNeighborTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+  nearestNeighbors(c, qamState.selected).forEach(i => {
+    const o = c.points[i];
+    const tr = document.createElement('tr');
+    const natural = hdist(sel.natural, o.natural);
+    if (natural > 1) tr.classList.add('warn');
+    [`${pad(o.gray, c.bits)} / ${pad(o.natural, c.bits)}`, hdist(sel.gray, o.gray), natural].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = String(text);
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  // 全シンボルについて、最近接点とのハミング距離の平均
+  const avg = (key) => {
+    let sum = 0;
+    let count = 0;
+    c.points.forEach((p, s) => nearestNeighbors(c, s).forEach(i => {
+      sum += hdist(p[key], c.points[i][key]);
+      count++;
+    }));
+    return (sum / count).toFixed(2);
+  };
+  $('qamNeighborAvg').textContent =
+    `全シンボルの最近接点とのハミング距離の平均: Gray ${avg('gray')} / 自然2進 ${avg('natural')}`;
+}
+
+/**
+ * BER曲線の描画（縦軸は対数）
+ */
+function drawBerPlot() {
+  const canvas = $('qamBer');
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const ber = qamState.ber || [];
+  ctx.clearRect(0, 0, W, H);
+  if (!ber.length) return;
+
+  const left = 52;
+  const top = 12;
+  const plotW = W - left - 16;
+  const plotH = H - top - 32;
+  const positive = ber.flatMap(r => [r.gray, r.natural]).filter(v => v > 0);
+  const minDecade = Math.floor(Math.log10(Math.min(...positive, 0.1)));
+  const snrMin = ber[0].snr;
+  const snrMax = ber[ber.length - 1].snr;
+  const xAt = (snr) => left + (snrMax > snrMin ? (snr - snrMin) / (snrMax - snrMin) : 0.5) * plotW;
+  const yAt = (p) => top + (Math.log10(p) / minDecade) * plotH;
+
+  const fg = getCSSVar('fg');
+  const accent = getCSSVar('canvas-accent');
+  const border = getCSSVar('canvas-border');
+
+  // 目盛り（10の累乗ごと）
+  ctx.font = '10px monospace';
+  ctx.strokeStyle = border;
+  ctx.fillStyle = fg;
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let d = 0; d >= minDecade; d--) {
+    ctx.beginPath();
+    ctx.moveTo(left, yAt(10 ** d));
+    ctx.lineTo(W - 16, yAt(10 ** d));
+    ctx.stroke();
+    ctx.fillText(`1e${d}`, left - 4, yAt(10 ** d));
+  }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ber.forEach(r => ctx.fillText(String(r.snr), xAt(r.snr), H - 28));
+  ctx.fillText('Eb/N0 [dB]', left + plotW / 2, H - 14);
+
+  [['natural', fg], ['gray', accent]].forEach(([key, color]) => {
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let started = false;
+    ber.forEach(r => {
+      if (r[key] <= 0) return;
+      if (started) ctx.lineTo(xAt(r.snr), yAt(r[key]));
+      else ctx.moveTo(xAt(r.snr), yAt(r[key]));
+      started = true;
+    });
+    ctx.stroke();
+    ber.forEach(r => {
+      if (r[key] > 0) ctx.fillRect(xAt(r.snr) - 3, yAt(r[key]) - 3, 6, 6);
+    });
+  });
+}
+
+/**
+ * BERの表の描画
+ * @param {number} symbols - 1点あたりのシンボル数
+ */
+function renderBerTable(symbols) {
+  const tbody = $('qamBerTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+  const fmt = (p) => (p > 0 ? p.toExponential(2) : `0（<${(1 / symbols).toExponential(0)}）`);
+  (qamState.ber || []).forEach(r => {
+    const tr = document.createElement('tr');
+    [r.snr, fmt(r.ser), fmt(r.gray), fmt(r.natural), r.gray > 0 ? (r.natural / r.gray).toFixed(2) : '—'].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = String(text);
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * BERシミュレーションの実行（入力を検証して Eb/N0 の掃引点を作る）
+ */
+function runQamSimulation() {
+  const snrMin = readClampedInt('qamSnrMin', -10, 30, 0);
+  const snrMax = Math.max(snrMin, readClampedInt('qamSnrMax', -10, 30, 16));
+  $('qamSnrMax').value = String(snrMax);
+  const step = readClampedInt('qamSnrStep', 1, 10, 2);
+  const symbols = readClampedInt('qamSymbols', 1000, 200000, 20000);
+  const seed = readClampedInt('qamSeed', 0, 0xFFFFFFFF, 1);
+
+  const snrs = [];
+  for (let snr = snrMin; snr <= snrMax; snr += step) snrs.push(snr);
+  $('qamRun').disabled = true;
+  simulateBer(
+    qamState.constellation,
+    { snrs, symbols, seed },
+    (progress) => { $('qamBerInfo').textContent = `計算中… ${Math.round(progress * 100)}%`; },
+    (ber) => {
+      $('qamRun').disabled = false;
+      qamState.ber = ber;
+      $('qamBerInfo').textContent = `${snrs.length}点 × ${symbols}シンボル`;
+      drawBerPlot();
+      renderBerTable(symbols);
+    }
+  );
+}
+
+/**
+ * 変調方式の切り替え（コンスタレーションを作り直してBERを再計算）
+ */
+function renderQam() {
+  const scheme = Object.hasOwn(QAM_SCHEMES, $('qamScheme').value) ? $('qamScheme').value : 'qam16';
+  qamState.constellation = buildConstellation(scheme);
+  qamState.selected = 0;
+  const c = qamState.constellation;
+  $('qamInfo').textContent = `${c.def.label} / ${c.bits}ビット/シンボル / ラベル: ${QAM_LABELS[$('qamLabel').value] || 'Gray'}`;
+  drawConstellation();
+  renderQamNeighbors();
+  runQamSimulation();
+}
+
+// ==========================================
+// QAMタブ - イベントリスナー
+// ==========================================
+
+$('qamScheme').addEventListener('change', renderQam);
+$('qamLabel').addEventListener('change', () => {
+  $('qamInfo').textContent = $('qamInfo').textContent.replace(/ラベル: .*$/, `ラベル: ${QAM_LABELS[$('qamLabel').value] || 'Gray'}`);
+  drawConstellation();
+});
+$('qamRun').addEventListener('click', runQamSimulation);
+
+// シンボル点のクリックで選択（最も近い点）
+$('qamCanvas').addEventListener('click', e => {
+  const canvas = e.target;
+  const rect = canvas.getBoundingClientRect();
+  const sx = canvas.width / (rect.width || canvas.width);
+  const sy = canvas.height / (rect.height || canvas.height);
+  const unit = canvas.width / (2 * QAM_EXTENT);
+  const x = ((e.clientX - rect.left) * sx - canvas.width / 2) / unit;
+  const y = (canvas.height / 2 - (e.clientY - rect.top) * sy) / unit;
+  const c = qamState.constellation;
+  let best = 0;
+  c.points.forEach((p, i) => {
+    if (Math.hypot(p.x - x, p.y - y) < Math.hypot(c.points[best].x - x, c.points[best].y - y)) best = i;
+  });
+  qamState.selected = best;
+  drawConstellation();
+  renderQamNeighbors();
+});
+
+// ==========================================
+// GAタブ - 遺伝的アルゴリズムと山登り法
+// ==========================================
+
+const GA_FUNCTIONS = {
+  sphere: {
+    label: 'De Jong F1',
+    range: [-5.12, 5.12],
+    optimum: 0,
+    f: (xs) => xs.reduce((s, x) => s + x * x, 0)
+  },
+  rosenbrock: {
+    label: 'De Jong F2',
+    range: [-2.048, 2.048],
+    optimum: 1,
+    f: (xs) => (xs.length < 2
+      ? (1 - xs[0]) ** 2
+      : xs.slice(0, -1).reduce((s, x, i) => s + 100 * (xs[i + 1] - x * x) ** 2 + (1 - x) ** 2, 0))
+  },
+  rastrigin: {
+    label: 'ラストリギン',
+    range: [-5.12, 5.12],
+    optimum: 0,
+    f: (xs) => 10 * xs.length + xs.reduce((s, x) => s + x * x - 10 * Math.cos(2 * Math.PI * x), 0)
+  },
+  ackley: {
+    label: 'アクリー',
+    range: [-32.768, 32.768],
+    optimum: 0,
+    f: (xs) => -20 * Math.exp(-0.2 * Math.sqrt(xs.reduce((s, x) => s + x * x, 0) / xs.length)) -
+      Math.exp(xs.reduce((s, x) => s + Math.cos(2 * Math.PI * x), 0) / xs.length) + 20 + Math.E
+  }
+};
+const GA_ENCODINGS = { binary: 'Binary', gray: 'Gray' };
+const GA_LOG_FLOOR = 1e-6; // 収束曲線の縦軸（対数）の下限
+const GA_SLICE_MS = 30;     // 1回のタイマー処理で計算する時間の目安（画面を固めないため）
+
+// 実行中の実験（新しい実行を始めると前の実験は打ち切る）
+const gaJob = { timer: null };
+
+/**
+ * 染色体（ビット列）を変数の値に復号
+ * 各変数は bits ビットの整数で、Grayエンコーディングでは grayToBin で通常の整数に戻してから
+ * 定義域 [lo, hi] に等間隔で割り当てる
+ * @param {Uint8Array} chrom - 染色体（上位ビットから）
+ * @param {object} p - 問題設定（bits, dims, range, encoding）
+ * @returns {number[]} 変数の値
+ */
+function decodeChromosome(chrom, p) {
+  const [lo, hi] = p.range;
+  const steps = 2 ** p.bits - 1;
+  const xs = [];
+  for (let d = 0; d < p.dims; d++) {
+    let gene = 0;
+    for (let j = 0; j < p.bits; j++) gene = (gene << 1) | chrom[d * p.bits + j];
+    const k = p.encoding === 'gray' ? grayToBin(gene) : gene;
+    xs.push(lo + (hi - lo) * k / steps);
+  }
+  return xs;
+}
+
+/**
+ * 評価回数を数え、指定した評価回数ごとに最良値を記録する評価器
+ * @param {object} p - 問題設定
+ * @param {number[]} checkpoints - 最良値を記録する評価回数（昇順）
+ * @returns {{evaluate: function(Uint8Array): number, done: function(): boolean, curve: number[]}} 評価器
+ */
+function createEvaluator(p, checkpoints) {
+  const fn = GA_FUNCTIONS[p.fn].f;
+  const curve = [];
+  let count = 0;
+  let best = Infinity;
+  return {
+    curve,
+    evaluate(chrom) {
+      const f = fn(decodeChromosome(chrom, p));
+      count++;
+      best = Math.min(best, f);
+      while (curve.length < checkpoints.length && count >= checkpoints[curve.length]) curve.push(best);
+      return f;
+    },
+    done: () => curve.length >= checkpoints.length
+  };
+}
+
+/**
+ * ランダムな染色体
+ * @param {number} length - ビット長
+ * @param {function(): number} rng - 乱数生成器
+ * @returns {Uint8Array} 染色体
+ */
+const randomChromosome = (length, rng) => Uint8Array.from({ length }, () => (rng() < 0.5 ? 1 : 0));
+
+/**
+ * 遺伝的アルゴリズム（トーナメント選択・一点交叉・ビット反転突然変異・エリート保存）
+ * @param {object} p - 問題設定（pop, gens を含む）
+ * @param {function(): number} rng - 乱数生成器
+ * @param {number[]} checkpoints - 最良値を記録する評価回数
+ * @returns {{curve: number[], restarts: number}} 収束曲線
+ */
+function runGeneticAlgorithm(p, rng, checkpoints) {
+  const L = p.bits * p.dims;
+  const ev = createEvaluator(p, checkpoints);
+  let pop = Array.from({ length: p.pop }, () => randomChromosome(L, rng));
+  let fit = pop.map(c => ev.evaluate(c));
+
+  const tournament = () => {
+    const a = Math.floor(rng() * pop.length);
+    const b = Math.floor(rng() * pop.length);
+    return fit[a] <= fit[b] ? pop[a] : pop[b];
+  };
+
+  while (!ev.done()) {
+    const elite = fit.indexOf(Math.min(...fit));
+    const next = [pop[elite]];
+    const nextFit = [fit[elite]];
+    while (next.length < p.pop && !ev.done()) {
+      const a = tournament();
+      const b = tournament();
+      const cut = 1 + Math.floor(rng() * (L - 1));
+      const child = Uint8Array.from({ length: L }, (_, j) => (j < cut ? a[j] : b[j]));
+      for (let j = 0; j < L; j++) {
+        if (rng() < 1 / L) child[j] ^= 1;
+      }
+      next.push(child);
+      nextFit.push(ev.evaluate(child));
+    }
+    pop = next;
+    fit = nextFit;
+  }
+  return { curve: ev.curve, restarts: 0 };
+}
+
+/**
+ * 1ビット反転の山登り法（最急降下、局所最適ではランダムに再スタート）
+ * @param {object} p - 問題設定
+ * @param {function(): number} rng - 乱数生成器
+ * @param {number[]} checkpoints - 最良値を記録する評価回数
+ * @returns {{curve: number[], restarts: number}} 収束曲線と再スタート回数
+ */
+function runHillClimber(p, rng, checkpoints) {
+  const L = p.bits * p.dims;
+  const ev = createEvaluator(p, checkpoints);
+  let current = randomChromosome(L, rng);
+  let currentFit = ev.evaluate(current);
+  let restarts = 0;
+
+  while (!ev.done()) {
+    let bestBit = -1;
+    let bestFit = currentFit;
+    for (let j = 0; j < L && !ev.done(); j++) {
+      current[j] ^= 1;
+      const f = ev.evaluate(current);
+      current[j] ^= 1;
+      if (f < bestFit) {
+        bestFit = f;
+        bestBit = j;
+      }
+    }
+    if (ev.done()) break;
+    if (bestBit >= 0) {
+      current[bestBit] ^= 1;
+      currentFit = bestFit;
+    } else {
+      // 1ビット反転ではこれ以上改善しない（局所最適）
+      restarts++;
+      current = randomChromosome(L, rng);
+      currentFit = ev.evaluate(current);
+    }
+  }
+  return { curve: ev.curve, restarts };
+}
+
+/**
+ * 1変数あたりのハミングの崖（隣接する整数の符号が2ビット以上違う箇所）
+ * @param {number} bits - ビット数
+ * @param {string} encoding - 'binary' | 'gray'
+ * @returns {{count: number, max: number, at: number}} 崖の数・最大の反転ビット数・最大の崖の位置 k（k と k+1 の間）
+ */
+function countHammingCliffs(bits, encoding) {
+  const code = (k) => (encoding === 'gray' ? binToGray(k) : k);
+  let count = 0;
+  let max = 0;
+  let at = 0;
+  for (let k = 0; k + 1 < 2 ** bits; k++) {
+    const d = hdist(code(k), code(k + 1));
+    if (d > 1) count++;
+    if (d > max) {
+      max = d;
+      at = k;
+    }
+  }
+  return { count, max, at };
+}
+
+/**
+ * 格子上で到達できる最良の関数値
+ * 各変数を真の最適解に最も近い格子点に置いたときの値（これ以下なら最適解に到達したとみなす）
+ * @param {object} p - 問題設定
+ * @returns {number} 関数値
+ */
+function gridOptimum(p) {
+  const { optimum, f } = GA_FUNCTIONS[p.fn];
+  const [lo, hi] = p.range;
+  const steps = 2 ** p.bits - 1;
+  const k = Math.round((optimum - lo) / (hi - lo) * steps);
+  return f(new Array(p.dims).fill(lo + (hi - lo) * k / steps));
+}
+
+/**
+ * GAタブの設定を画面から取得
+ * @returns {object} 問題設定
+ */
+function readGaOptions() {
+  const fn = Object.hasOwn(GA_FUNCTIONS, $('gaFunction').value) ? $('gaFunction').value : 'rastrigin';
+  return {
+    fn,
+    range: GA_FUNCTIONS[fn].range,
+    dims: $('gaDims').value === '1' ? 1 : 2,
+    bits: readClampedInt('gaBits', 4, 16, 10),
+    pop: readClampedInt('gaPop', 4, 100, 40),
+    gens: readClampedInt('gaGens', 1, 300, 80),
+    runs: readClampedInt('gaRuns', 1, 50, 10),
+    seed: readClampedInt('gaSeed', 0, 0xFFFFFFFF, 1)
+  };
+}
+
+/**
+ * 実行中の実験を打ち切る
+ */
+function stopGaExperiment() {
+  clearTimeout(gaJob.timer);
+  gaJob.timer = null;
+}
+
+/**
+ * 全ての組み合わせ（GA・山登り法 × Binary・Gray）を試行回数だけ実行
+ * 同じ試行番号ではエンコーディングによらず同じシードを使う。
+ * 試行回数・世代数が大きいと数十秒かかるため、GA_SLICE_MS ごとにタイマーへ処理を返して進捗を通知する
+ * @param {object} opts - readGaOptions の設定
+ * @param {function(number): void} onProgress - 進捗（0〜1）の通知
+ * @param {function({checkpoints: number[], results: Array<object>}): void} onDone - 結果の通知
+ */
+function runGaExperiment(opts, onProgress, onDone) {
+  stopGaExperiment();
+
+  // 世代ごと（初期集団の評価後、以降は集団サイズ−1回ごと）に最良値を記録
+  const checkpoints = Array.from({ length: opts.gens + 1 }, (_, g) => opts.pop + g * (opts.pop - 1));
+  const algorithms = [['GA', runGeneticAlgorithm], ['山登り法', runHillClimber]];
+  const target = gridOptimum(opts) + 1e-9;
+  const combos = algorithms.flatMap(([name, run]) =>
+    Object.keys(GA_ENCODINGS).map(encoding => ({ name, run, encoding, curves: [], restarts: 0 })));
+  const total = combos.length * opts.runs;
+  let done = 0;
+
+  const work = () => {
+    const start = performance.now();
+    while (done < total && performance.now() - start < GA_SLICE_MS) {
+      const c = combos[Math.floor(done / opts.runs)];
+      const out = c.run({ ...opts, encoding: c.encoding }, createRng(opts.seed + done % opts.runs), checkpoints);
+      c.curves.push(out.curve);
+      c.restarts += out.restarts;
+      done++;
+    }
+    if (done < total) {
+      onProgress(done / total);
+      gaJob.timer = setTimeout(work, 0);
+      return;
+    }
+
+    gaJob.timer = null;
+    const results = combos.map(({ name, encoding, curves, restarts }) => {
+      const finals = curves.map(c => c[c.length - 1]);
+      return {
+        name,
+        encoding,
+        dashed: name !== 'GA',
+        mean: checkpoints.map((_, i) => meanOf(curves.map(c => c[i]))),
+        finalMean: meanOf(finals),
+        finalBest: Math.min(...finals),
+        success: finals.filter(f => f <= target).length,
+        restarts: restarts / opts.runs
+      };
+    });
+    onDone({ checkpoints, results });
+  };
+  work();
+}
+
+/**
+ * 収束曲線の描画（縦軸は対数）
+ * @param {object} exp - runGaExperiment の結果
+ */
+function drawGaCurves(exp) {
+  const canvas = $('gaCanvas');
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  ctx.clearRect(0, 0, W, H);
+
+  const left = 52;
+  const top = 12;
+  const plotW = W - left - 16;
+  const plotH = H - top - 32;
+  const values = exp.results.flatMap(r => r.mean).map(v => Math.max(v, GA_LOG_FLOOR));
+  const hiDecade = Math.ceil(Math.log10(Math.max(...values)));
+  const loDecade = Math.min(hiDecade - 1, Math.floor(Math.log10(Math.min(...values))));
+  const maxEval = exp.checkpoints[exp.checkpoints.length - 1];
+  const xAt = (e) => left + e / maxEval * plotW;
+  const yAt = (v) => top + (hiDecade - Math.log10(Math.max(v, GA_LOG_FLOOR))) / (hiDecade - loDecade) * plotH;
+
+  const fg = getCSSVar('fg');
+  const accent = getCSSVar('canvas-accent');
+  const border = getCSSVar('canvas-border');
+
+  ctx.font = '10px monospace';
+  ctx.strokeStyle = border;
+  ctx.fillStyle = fg;
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let d = hiDecade; d >= loDecade; d--) {
+    ctx.beginPath();
+    ctx.moveTo(left, yAt(10 ** d));
+    ctx.lineTo(W - 16, yAt(10 ** d));
+    ctx.stroke();
+    ctx.fillText(`1e${d}`, left - 4, yAt(10 ** d));
+  }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('0', left, H - 28);
+  ctx.fillText(String(maxEval), W - 16, H - 28);
+  ctx.fillText('評価回数', left + plotW / 2, H - 14);
+
+  exp.results.forEach(r => {
+    ctx.strokeStyle = r.encoding === 'gray' ? accent : fg;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(r.dashed ? [6, 4] : []);
+    ctx.beginPath();
+    r.mean.forEach((v, i) => {
+      if (i === 0) ctx.moveTo(xAt(exp.checkpoints[i]), yAt(v));
+      else ctx.lineTo(xAt(exp.checkpoints[i]), yAt(v));
+    });
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+}
+
+/**
+ * GAタブの実行（計算中は進捗を表示し、終わったら結果を表示）
+ */
+function renderGa() {
+  const opts = readGaOptions();
+  $('gaRun').disabled = true;
+  runGaExperiment(
+    opts,
+    (progress) => { $('gaInfo').textContent = `計算中… ${Math.round(progress * 100)}%`; },
+    (exp) => {
+      $('gaRun').disabled = false;
+      renderGaResults(opts, exp);
+    }
+  );
+}
+
+/**
+ * GAの実験結果の表示
+ * @param {object} opts - readGaOptions の設定
+ * @param {object} exp - runGaExperiment の結果
+ */
+function renderGaResults(opts, exp) {
+  drawGaCurves(exp);
+
+  const fmt = (v) => (v < 1e-4 ? v.toExponential(2) : v.toFixed(4));
+  const tbody = $('gaResultTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+  exp.results.forEach(r => {
+    const tr = document.createElement('tr');
+    [r.name, GA_ENCODINGS[r.encoding], fmt(r.finalMean), fmt(r.finalBest), `${r.success} / ${opts.runs}`,
+      r.dashed ? r.restarts.toFixed(1) : '—'].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  const [lo, hi] = opts.range;
+  const bin = countHammingCliffs(opts.bits, 'binary');
+  const gray = countHammingCliffs(opts.bits, 'gray');
+  const xAt = (k) => (lo + (hi - lo) * k / (2 ** opts.bits - 1)).toFixed(3);
+  $('gaCliffs').textContent =
+    `Binary: ${bin.count}箇所（最大 ${bin.max}ビット反転: k=${bin.at}→${bin.at + 1}、x≈${xAt(bin.at)}→${xAt(bin.at + 1)}） / ` +
+    `Gray: ${gray.count}箇所`;
+  $('gaInfo').textContent =
+    `${GA_FUNCTIONS[opts.fn].label} / ${opts.dims}次元 / ${opts.bits}ビット×${opts.dims} / ${opts.runs}試行`;
+}
+
+// ==========================================
+// GAタブ - イベントリスナー
+// ==========================================
+
+$('gaRun').addEventListener('click', renderGa);
+['gaFunction', 'gaDims'].forEach(id => $(id).addEventListener('change', renderGa));
+
+// ==========================================
+// ビットプレーンタブ - 画像のビットプレーン分解
+// ==========================================
+
+const BITPLANE_MAX_SIZE = 256;                    // 縮小後の長辺（px）
+const BITPLANE_MAX_FILE_SIZE = 10 * 1024 * 1024;  // 読み込む画像ファイルの上限（10MB）
+const RLE_MAX_RUN = 255;                          // RLEの1ランで表せる最大画素数
+
+// 読み込んだ画像（輝度 0〜255 の配列）
+const bitplaneState = { pixels: null, width: 0, height: 0, name: '' };
+
+/**
+ * 画像をグレースケール（輝度）の配列に変換
+ * 長辺が BITPLANE_MAX_SIZE を超える場合は縮小する
+ * @param {HTMLImageElement} img - 読み込み済みの画像
+ * @returns {{pixels: Uint8Array, width: number, height: number}} 輝度
+ */
+function imageToGrayscale(img) {
+  const scale = Math.min(1, BITPLANE_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.max(1, Math.round(img.naturalWidth * scale));
+  const height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const rgba = ctx.getImageData(0, 0, width, height).data;
+  const pixels = new Uint8Array(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    // ITU-R BT.601 の輝度
+    pixels[i] = Math.round(0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2]);
+  }
+  return { pixels, width, height };
+}
+
+/**
+ * サンプル画像（横方向の階調と同心円の滑らかな濃淡）
+ * @returns {{pixels: Uint8Array, width: number, height: number}} 輝度
+ */
+function generateSampleImage() {
+  const width = 256;
+  const height = 192;
+  const pixels = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const ring = 0.5 + 0.5 * Math.cos(Math.hypot(x - width / 2, y - height / 2) / 18);
+      pixels[y * width + x] = Math.round(255 * (0.55 * x / (width - 1) + 0.45 * ring));
+    }
+  }
+  return { pixels, width, height };
+}
+
+/**
+ * ビットプレーンの複雑さ（横方向の遷移数とRLEのバイト数）
+ * @param {Uint8Array} plane - 0/1 の配列
+ * @param {number} width - 幅
+ * @param {number} height - 高さ
+ * @returns {{transitions: number, rle: number}} 複雑さの指標
+ */
+function planeComplexity(plane, width, height) {
+  let transitions = 0;
+  let rle = 0;
+  for (let y = 0; y < height; y++) {
+    let run = 0;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (x > 0 && plane[i] !== plane[i - 1]) {
+        transitions++;
+        rle += Math.ceil(run / RLE_MAX_RUN);
+        run = 0;
+      }
+      run++;
+    }
+    rle += Math.ceil(run / RLE_MAX_RUN);
+  }
+  return { transitions, rle };
+}
+
+/**
+ * 画素値から1枚のビットプレーンを取り出す
+ * @param {Uint8Array} pixels - 輝度
+ * @param {number} bit - ビット位置（7が最上位）
+ * @param {boolean} useGray - true なら binToGray した値のビット
+ * @returns {Uint8Array} 0/1 の配列
+ */
+function extractBitPlane(pixels, bit, useGray) {
+  return pixels.map(p => ((useGray ? binToGray(p) : p) >> bit) & 1);
+}
+
+/**
+ * 0〜255 または 0/1 の配列をキャンバスに描画
+ * @param {HTMLCanvasElement} canvas - 描画先
+ * @param {Uint8Array} values - 画素値
+ * @param {number} width - 幅
+ * @param {number} height - 高さ
+ * @param {number} gain - 表示用の倍率（プレーンは255）
+ */
+function drawGrayPixels(canvas, values, width, height, gain) {
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  values.forEach((v, i) => {
+    const level = v * gain;
+    image.data[i * 4] = level;
+    image.data[i * 4 + 1] = level;
+    image.data[i * 4 + 2] = level;
+    image.data[i * 4 + 3] = 255;
+  });
+  ctx.putImageData(image, 0, 0);
+}
 
-// 回転開始ボタン
-$('spinStart').addEventListener('click', () => {
-  if (spinTimer) clearInterval(spinTimer);
+/**
+ * ビットプレーンタブ全体の更新
+ */
+function renderBitplanes() {
+  const { pixels, width, height, name } = bitplaneState;
+  if (!pixels) return;
+  drawGrayPixels($('bpSource'), pixels, width, height, 1);
+  $('bpInfo').textContent = `${name} / ${width}×${height}px`;
+
+  const grid = $('bpGrid');
+  const tbody = $('bpStatsTbl').querySelector('tbody');
+  grid.innerHTML = '';
+  tbody.innerHTML = '';
+  const totals = { bin: { transitions: 0, rle: 0 }, gray: { transitions: 0, rle: 0 } };
+
+  for (let bit = 7; bit >= 0; bit--) {
+    const stats = {};
+    [['bin', false], ['gray', true]].forEach(([key, useGray]) => {
+      const plane = extractBitPlane(pixels, bit, useGray);
+      stats[key] = planeComplexity(plane, width, height);
+      totals[key].transitions += stats[key].transitions;
+      totals[key].rle += stats[key].rle;
+
+      const figure = document.createElement('figure');
+      figure.className = 'bp-plane';
+      const canvas = document.createElement('canvas');
+      canvas.setAttribute('aria-label', `${useGray ? 'Gray' : 'Binary'} bit plane ${bit}`);
+      drawGrayPixels(canvas, plane, width, height, 255);
+      const caption = document.createElement('figcaption');
+      caption.textContent = `${useGray ? 'Gray' : 'Binary'} b${bit}（遷移 ${stats[key].transitions}）`;
+      figure.append(canvas, caption);
+      grid.appendChild(figure);
+    });
 
-  // 固定間隔で実行し、動的に速度を参照
-  spinTimer = setInterval(() => {
-    const speed = parseInt($('spinSpeed').value);
-    const angleStep = speed / 25; // 角度ステップをスピードに比例
-    currentAngle = (currentAngle + angleStep) % 360;
-    renderDiscAll();
-  }, 16); // 約60FPSで実行
+    tbody.appendChild(bitplaneStatsRow(`b${bit}`, stats.bin, stats.gray));
+  }
+  const totalRow = bitplaneStatsRow('合計', totals.bin, totals.gray);
+  totalRow.classList.add('total-row');
+  tbody.appendChild(totalRow);
+}
 
-  $('spinStart').disabled = true;
-  $('spinStop').disabled = false;
-});
+/**
+ * 複雑さの表の1行
+ * @param {string} label - 行の見出し
+ * @param {{transitions: number, rle: number}} bin - 自然2進プレーンの指標
+ * @param {{transitions: number, rle: number}} gray - Grayプレーンの指標
+ * @returns {HTMLTableRowElement} 行
+ */
+function bitplaneStatsRow(label, bin, gray) {
+  const tr = document.createElement('tr');
+  const ratio = bin.rle ? `${(100 * gray.rle / bin.rle).toFixed(0)}%` : '—';
+  [label, bin.transitions, gray.transitions, bin.rle, gray.rle, ratio].forEach(text => {
+    const td = document.createElement('td');
+    td.textContent = String(text);
+    tr.appendChild(td);
+  });
+  return tr;
+}
 
-// 回転停止ボタン
-$('spinStop').addEventListener('click', () => {
-  if (spinTimer) {
-    clearInterval(spinTimer);
-    spinTimer = null;
+/**
+ * 画像ファイルの読み込み（FileReaderで data: URL にしてから画像として読み込む）
+ * CSP の img-src は 'self' と data: のみ許可しているため、Blob URL は使わない
+ * @param {File} file - 画像ファイル
+ */
+function loadBitplaneImage(file) {
+  $('bpError').textContent = '';
+  if (!/^image\//.test(file.type)) {
+    $('bpError').textContent = '画像ファイルを選択してください';
+    return;
+  }
+  if (file.size > BITPLANE_MAX_FILE_SIZE) {
+    $('bpError').textContent = `ファイルが大きすぎます（上限${BITPLANE_MAX_FILE_SIZE / 1024 / 1024}MB）`;
+    return;
   }
 
-  $('spinStart').disabled = false;
-  $('spinStop').disabled = true;
+  const reader = new FileReader();
+  reader.onload = () => {
+    const img = new Image();
+    img.onload = () => {
+      Object.assign(bitplaneState, imageToGrayscale(img), { name: file.name });
+      renderBitplanes();
+    };
+    img.onerror = () => {
+      $('bpError').textContent = '画像として読み込めませんでした';
+    };
+    img.src = String(reader.result);
+  };
+  reader.onerror = () => {
+    console.warn('Failed to read image file:', reader.error);
+    $('bpError').textContent = 'ファイルを読み込めませんでした';
+  };
+  reader.readAsDataURL(file);
+}
+
+// ==========================================
+// ビットプレーンタブ - イベントリスナー
+// ==========================================
+
+$('bpFile').addEventListener('change', e => {
+  const file = e.target.files[0];
+  if (file) loadBitplaneImage(file);
 });
 
-// 回転速度変更
-$('spinSpeed').addEventListener('input', e => {
-  $('spinSpeedValue').textContent = e.target.value;
-  // タイマーは再作成せず、動的に速度値を参照するため何もしない
+$('bpSample').addEventListener('click', () => {
+  Object.assign(bitplaneState, generateSampleImage(), { name: 'サンプル画像' });
+  $('bpError').textContent = '';
+  $('bpFile').value = '';
+  renderBitplanes();
 });
 
 // ==========================================
-// 変換タブ（Convert）
+// パズルタブ - ハノイの塔とチャイニーズリング
 // ==========================================
 
-/**
- * バイナリ/グレイコード相互変換（セキュリティ強化版）
- * @param {string} input - 入力文字列（0と1のみ有効）
- * @param {boolean} toGray - true=グレイ変換, false=バイナリ変換
- * @returns {string} 変換結果
- */
-function convert(input, toGray) {
-  // 入力検証とサニタイゼーション
-  if (typeof input !== 'string') return '—';
-
-  const s = input.replace(/[^01]/g, ''); // 0と1以外を除去
-  if (!s) return '—'; // 空文字の場合
-  if (s.length > 32) return '—'; // 長すぎる入力を拒否（DoS対策）
+const PUZZLE_MAX_N = 10;
+const HANOI_PEGS = ['A', 'B', 'C'];
 
-  try {
-    const num = parseInt(s, 2); // 2進数として解釈
-    if (isNaN(num) || num < 0) return '—'; // 不正な値をチェック
+// 解の手順・現在の手数・自動再生タイマー
+const puzzleState = { type: 'hanoi', n: 0, moves: [], states: [], step: 0, timer: null };
 
-    const result = toGray ? binToGray(num) : grayToBin(num);
-    return pad(result, s.length); // 元の桁数を保持
-  } catch (error) {
-    console.error('Conversion error:', error);
-    return '—'; // エラー時の安全な戻り値
+/**
+ * ハノイの塔の手順を Gray 符号の列から求める
+ * i 手目は binToGray(i−1) と binToGray(i) で変化したビット k の円盤を動かす。
+ * k=0（最小の円盤）は n が奇数なら A→C→B→A、偶数なら A→B→C→A の向きに巡回し、
+ * それ以外の円盤は最小の円盤がない方の杭へ動かす（動かせる先は1通りだけ）
+ * @param {number} count - 円盤の数
+ * @returns {{moves: Array<Object>, states: Array<number[]>}} 各手と、各手の後の円盤の位置（杭の番号）
+ */
+function hanoiFromGray(count) {
+  const pegOf = new Array(count).fill(0);
+  const states = [pegOf.slice()];
+  const moves = [];
+  const dir = count % 2 ? 2 : 1;
+
+  for (let i = 1; i < (1 << count); i++) {
+    const prev = binToGray(i - 1);
+    const gray = binToGray(i);
+    const bit = 31 - Math.clz32(prev ^ gray);
+    const from = pegOf[bit];
+    const to = bit === 0 ? (from + dir) % 3 : 3 - from - pegOf[0];
+
+    // 規則の確認: 動かす円盤が一番上にあり、移動先の一番上より小さいこと
+    const topOf = (peg) => pegOf.findIndex(p => p === peg);
+    const top = topOf(to);
+    const legal = topOf(from) === bit && (top === -1 || top > bit);
+
+    pegOf[bit] = to;
+    states.push(pegOf.slice());
+    moves.push({
+      i, prev, gray, bit, legal,
+      text: `円盤${bit + 1}: ${HANOI_PEGS[from]} → ${HANOI_PEGS[to]}`
+    });
   }
+  return { moves, states };
 }
 
-// ==========================================
-// 変換タブ - イベントリスナー
-// ==========================================
-
 /**
- * Binary → Gray変換の計算過程を生成
+ * チャイニーズリング（九連環）の手順を Gray 符号の列から求める
+ * 輪の状態（1 = 棒に掛かっている）が binToGray(i) そのもので、
+ * 全て掛かった状態 i = grayToBin(11…1) から i = 0 まで逆にたどる
+ * @param {number} count - 輪の数
+ * @returns {{moves: Array<Object>, states: number[]}} 各手と、各手の後の輪の状態
  */
-function generateBinaryToGraySteps(input) {
-  const steps = [];
-  const bits = input.split('').map(b => parseInt(b));
-  const n = bits.length;
+function chineseRingsFromGray(count) {
+  const all = (1 << count) - 1;
+  const start = grayToBin(all);
+  const states = [all];
+  const moves = [];
+
+  for (let i = start; i > 0; i--) {
+    const prev = binToGray(i - 1);
+    const gray = binToGray(i);
+    const bit = 31 - Math.clz32(prev ^ gray);
+
+    // 規則の確認: 1番目の輪はいつでも、k+1 番目は k 番目だけが掛かっているときに動かせる
+    const below = gray & ((1 << bit) - 1);
+    const legal = bit === 0 || below === 1 << (bit - 1);
+
+    states.push(prev);
+    moves.push({
+      i, prev, gray, bit, legal,
+      text: `輪${bit + 1}を${prev & (1 << bit) ? '掛ける' : '外す'}`
+    });
+  }
+  return { moves, states };
+}
 
-  // ステップ0: 入力表示
-  steps.push({
-    header: `入力: バイナリ ${input}`,
-    calculation: `ビット列: ${bits.map((b, i) => `b${n-1-i}=${b}`).join(', ')}`,
-    result: ''
+/**
+ * ハノイの塔の描画
+ * @param {SVGElement} svg - 描画先
+ * @param {number[]} pegOf - 各円盤の杭の番号（添字0が最小の円盤）
+ * @param {number} moved - 直前に動かした円盤（なければ -1）
+ */
+function drawHanoi(svg, pegOf, moved) {
+  const count = pegOf.length;
+  const baseY = 230;
+  const pegX = [100, 300, 500];
+  const diskH = Math.min(18, 180 / count);
+
+  svg.appendChild(svgEl('rect', { x: 20, y: baseY, width: 560, height: 8, rx: 3, class: 'pz-base' }));
+  pegX.forEach((x, p) => {
+    svg.appendChild(svgEl('rect', { x: x - 4, y: baseY - diskH * count - 20, width: 8, height: diskH * count + 20, class: 'pz-peg' }));
+    svg.appendChild(svgEl('text', { x, y: baseY + 24, class: 'pz-label' }, HANOI_PEGS[p]));
   });
 
-  // 各ビットの計算
-  const result = [];
-  for (let i = 0; i < n; i++) {
-    if (i === 0) {
-      // 最上位ビット
-      result.push(bits[0]);
-      steps.push({
-        header: `ステップ${i+1}: 最上位ビット`,
-        calculation: `g${n-1} = b${n-1} = ${bits[0]}`,
-        result: `g${n-1} = ${bits[0]}`
-      });
-    } else {
-      // 他のビット
-      const xor = bits[i-1] ^ bits[i];
-      result.push(xor);
-      steps.push({
-        header: `ステップ${i+1}: ビット${n-1-i}`,
-        calculation: `g${n-1-i} = b${n-i} ⊕ b${n-1-i} = ${bits[i-1]} ⊕ ${bits[i]} = ${xor}`,
-        result: `g${n-1-i} = ${xor}`
-      });
+  // 大きい円盤から順に積む
+  const height = [0, 0, 0];
+  for (let d = count - 1; d >= 0; d--) {
+    const peg = pegOf[d];
+    const w = 30 + (150 * (d + 1)) / count;
+    const y = baseY - diskH * (height[peg] + 1);
+    height[peg]++;
+    svg.appendChild(svgEl('rect', {
+      x: pegX[peg] - w / 2, y: y + 1, width: w, height: diskH - 2, rx: 4,
+      class: d === moved ? 'pz-disk moved' : 'pz-disk'
+    }));
+    if (diskH >= 14) {
+      svg.appendChild(svgEl('text', { x: pegX[peg], y: y + diskH / 2 + 4, class: 'pz-disk-label' }, String(d + 1)));
     }
   }
-
-  // 最終結果
-  steps.push({
-    header: '最終結果',
-    calculation: `グレイコード: ${result.join('')}`,
-    result: `変換完了: ${input} → ${result.join('')}`
-  });
-
-  return steps;
 }
 
 /**
- * Gray → Binary変換の計算過程を生成
+ * チャイニーズリングの描画（左が n 番目、右が1番目の輪。Gray 符号の桁の並びと同じ）
+ * @param {SVGElement} svg - 描画先
+ * @param {number} rings - 輪の状態（ビット k が k+1 番目の輪）
+ * @param {number} count - 輪の数
+ * @param {number} moved - 直前に動かした輪（なければ -1）
  */
-function generateGrayToBinarySteps(input) {
-  const steps = [];
-  const bits = input.split('').map(b => parseInt(b));
-  const n = bits.length;
-
-  // ステップ0: 入力表示
-  steps.push({
-    header: `入力: グレイ ${input}`,
-    calculation: `ビット列: ${bits.map((b, i) => `g${n-1-i}=${b}`).join(', ')}`,
-    result: ''
-  });
-
-  // 各ビットの計算
-  const result = [];
-  for (let i = 0; i < n; i++) {
-    if (i === 0) {
-      // 最上位ビット
-      result.push(bits[0]);
-      steps.push({
-        header: `ステップ${i+1}: 最上位ビット`,
-        calculation: `b${n-1} = g${n-1} = ${bits[0]}`,
-        result: `b${n-1} = ${bits[0]}`
-      });
-    } else {
-      // 他のビット
-      const xor = result[i-1] ^ bits[i];
-      result.push(xor);
-      steps.push({
-        header: `ステップ${i+1}: ビット${n-1-i}`,
-        calculation: `b${n-1-i} = b${n-i} ⊕ g${n-1-i} = ${result[i-1]} ⊕ ${bits[i]} = ${xor}`,
-        result: `b${n-1-i} = ${xor}`
-      });
-    }
+function drawChineseRings(svg, rings, count, moved) {
+  const barY = 90;
+  const gap = Math.min(60, 520 / count);
+  const left = 300 - (gap * (count - 1)) / 2;
+
+  svg.appendChild(svgEl('line', { x1: left - 50, y1: barY, x2: left + gap * (count - 1) + 50, y2: barY, class: 'pz-bar' }));
+  for (let k = count - 1; k >= 0; k--) {
+    const x = left + gap * (count - 1 - k);
+    const on = (rings >> k) & 1;
+    const cy = on ? barY : barY + 90;
+    svg.appendChild(svgEl('line', { x1: x, y1: cy + 30, x2: x, y2: 230, class: 'pz-post' }));
+    svg.appendChild(svgEl('ellipse', {
+      cx: x, cy, rx: gap * 0.4, ry: 30,
+      class: ['pz-ring', on ? 'on' : 'off', k === moved ? 'moved' : ''].join(' ').trim()
+    }));
+    svg.appendChild(svgEl('text', { x, y: 250, class: 'pz-label' }, String(k + 1)));
   }
+}
 
-  // 最終結果
-  steps.push({
-    header: '最終結果',
-    calculation: `バイナリコード: ${result.join('')}`,
-    result: `変換完了: ${input} → ${result.join('')}`
+/**
+ * 手順表の作成（0行目が開始状態）
+ */
+function buildPuzzleTable() {
+  const { moves, n: count } = puzzleState;
+  const tbody = $('pzTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+
+  const start = document.createElement('tr');
+  const first = puzzleState.type === 'hanoi' ? 0 : (1 << count) - 1;
+  ['0', puzzleState.type === 'hanoi' ? '0' : String(grayToBin(first)), pad(first, count), '—', '開始'].forEach(text => {
+    const td = document.createElement('td');
+    td.textContent = text;
+    start.appendChild(td);
+  });
+  tbody.appendChild(start);
+
+  moves.forEach((m, idx) => {
+    const tr = document.createElement('tr');
+    if (!m.legal) tr.classList.add('error');
+    const code = puzzleState.type === 'hanoi'
+      ? `${pad(m.prev, count)} → ${pad(m.gray, count)}`
+      : `${pad(m.gray, count)} → ${pad(m.prev, count)}`;
+    [String(idx + 1), String(m.i), code, `b${m.bit}`, m.text].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
   });
-
-  return steps;
 }
 
 /**
- * 計算過程をHTMLに表示（XSS対策済み）
+ * パズルの現在の状態を表示
  */
-function displaySteps(steps, containerId) {
-  const container = $(containerId);
-  // 安全なDOM操作でXSS脆弱性を防止
-  container.innerHTML = ''; // 既存内容をクリア
-
-  steps.forEach(step => {
-    const stepDiv = document.createElement('div');
-    stepDiv.className = 'step';
+function renderPuzzle() {
+  const { type, n: count, moves, states, step } = puzzleState;
+  const last = step > 0 ? moves[step - 1] : null;
+  const svg = $('pzSvg');
+  svg.innerHTML = '';
+
+  if (type === 'hanoi') {
+    drawHanoi(svg, states[step], last ? last.bit : -1);
+    $('pzTitle').textContent = `ハノイの塔（円盤${count}枚・最短 2^${count} − 1 = ${moves.length}手）`;
+    $('pzGray').textContent = pad(last ? last.gray : 0, count);
+  } else {
+    drawChineseRings(svg, states[step], count, last ? last.bit : -1);
+    $('pzTitle').textContent = `チャイニーズリング（輪${count}個・${moves.length}手）`;
+    $('pzGray').textContent = pad(states[step], count);
+  }
 
-    const headerDiv = document.createElement('div');
-    headerDiv.className = 'step-header';
-    headerDiv.textContent = step.header; // XSS安全
+  $('pzMove').textContent = String(step);
+  $('pzTotal').textContent = String(moves.length);
+  $('pzBit').textContent = last ? `b${last.bit}` : '—';
+  $('pzPrev').disabled = step === 0;
+  $('pzNext').disabled = step === moves.length;
+
+  const illegal = moves.filter(m => !m.legal).length;
+  let caption;
+  if (!last) {
+    caption = type === 'hanoi'
+      ? `開始: 全ての円盤が ${HANOI_PEGS[0]} にあります。${HANOI_PEGS[2]} へ移します`
+      : `開始: 全ての輪が掛かっています（${pad(states[0], count)}）。全て外します`;
+  } else {
+    const [before, after] = type === 'hanoi' ? [last.prev, last.gray] : [last.gray, last.prev];
+    caption = `${step}手目: ${pad(before, count)} → ${pad(after, count)} でビット${last.bit}が変化 → ${last.text}`;
+  }
+  if (step === moves.length) {
+    caption += illegal
+      ? `（完了。規則に反する手が${illegal}手あります）`
+      : `（完了。全${moves.length}手が規則どおりです）`;
+  }
+  $('pzCaption').textContent = caption;
+  $('pzCaption').classList.toggle('error-text', illegal > 0);
+
+  // アクティブ行の切り替え
+  const tbody = $('pzTbl').querySelector('tbody');
+  const prev = tbody.querySelector('tr.active');
+  const row = tbody.children[step];
+  if (prev === row) return;
+  if (prev) prev.classList.remove('active');
+  if (row) {
+    row.classList.add('active');
+    row.scrollIntoView({ block: 'nearest' });
+  }
+}
 
-    const calcDiv = document.createElement('div');
-    calcDiv.className = 'step-calculation';
-    calcDiv.textContent = step.calculation; // XSS安全
+/**
+ * パズルの手順を作り直して最初の状態に戻す
+ */
+function resetPuzzle() {
+  stopPuzzle();
+  puzzleState.type = $('pzType').value === 'rings' ? 'rings' : 'hanoi';
+  puzzleState.n = readClampedInt('pzN', 1, PUZZLE_MAX_N, 4);
+  const solved = puzzleState.type === 'hanoi'
+    ? hanoiFromGray(puzzleState.n)
+    : chineseRingsFromGray(puzzleState.n);
+  puzzleState.moves = solved.moves;
+  puzzleState.states = solved.states;
+  puzzleState.step = 0;
+  buildPuzzleTable();
+  renderPuzzle();
+}
 
-    stepDiv.appendChild(headerDiv);
-    stepDiv.appendChild(calcDiv);
+/**
+ * パズルの手を進める・戻す
+ * @param {number} delta - 移動量（+1 / -1）
+ * @returns {boolean} 移動できた場合 true
+ */
+function stepPuzzle(delta) {
+  const target = puzzleState.step + delta;
+  if (target < 0 || target > puzzleState.moves.length) return false;
+  puzzleState.step = target;
+  renderPuzzle();
+  return true;
+}
 
-    if (step.result) {
-      const resultDiv = document.createElement('div');
-      resultDiv.className = 'step-result';
-      resultDiv.textContent = step.result; // XSS安全
-      stepDiv.appendChild(resultDiv);
-    }
+/**
+ * パズルの自動再生を停止
+ */
+function stopPuzzle() {
+  clearInterval(puzzleState.timer);
+  puzzleState.timer = null;
+  $('pzAuto').checked = false;
+}
 
-    container.appendChild(stepDiv);
-  });
+/**
+ * パズルの自動再生を開始（最後の手で止まる）
+ */
+function startPuzzle() {
+  clearInterval(puzzleState.timer);
+  if (puzzleState.step === puzzleState.moves.length) {
+    puzzleState.step = 0;
+    renderPuzzle();
+  }
+  puzzleState.timer = setInterval(() => {
+    if (!stepPuzzle(1) || puzzleState.step === puzzleState.moves.length) stopPuzzle();
+  }, parseInt($('pzSpeed').value, 10) || 600);
 }
 
-// Binary → Gray変換
-$('toGray').addEventListener('click', () => {
-  const input = $('binIn').value;
-  const result = convert(input, true);
-  $('grayOut2').textContent = result;
+// ==========================================
+// パズルタブ - イベントリスナー
+// ==========================================
 
-  if (/^[01]+$/.test(input)) {
-    const steps = generateBinaryToGraySteps(input);
-    displaySteps(steps, 'binaryToGraySteps');
-  }
+$('pzType').addEventListener('change', resetPuzzle);
+$('pzN').addEventListener('change', resetPuzzle);
+$('pzReset').addEventListener('click', resetPuzzle);
+
+$('pzPrev').addEventListener('click', () => {
+  stopPuzzle();
+  stepPuzzle(-1);
 });
 
-// Gray → Binary変換
-$('toBin').addEventListener('click', () => {
-  const input = $('grayIn').value;
-  const result = convert(input, false);
-  $('binOut2').textContent = result;
+$('pzNext').addEventListener('click', () => {
+  stopPuzzle();
+  stepPuzzle(1);
+});
 
-  if (/^[01]+$/.test(input)) {
-    const steps = generateGrayToBinarySteps(input);
-    displaySteps(steps, 'grayToBinarySteps');
-  }
+$('pzAuto').addEventListener('change', e => {
+  if (e.target.checked) startPuzzle();
+  else stopPuzzle();
 });
 
-// Enterキーでの変換実行
-$('binIn').addEventListener('keypress', e => {
-  if (e.key === 'Enter') $('toGray').click();
+$('pzSpeed').addEventListener('input', e => {
+  $('pzSpeedValue').textContent = `${e.target.value}ms`;
+  if (puzzleState.timer) startPuzzle();
 });
 
-$('grayIn').addEventListener('keypress', e => {
-  if (e.key === 'Enter') $('toBin').click();
+// 手順表の行クリックでその手へ移動
+$('pzTbl').querySelector('tbody').addEventListener('click', e => {
+  const row = e.target.closest('tr');
+  if (!row) return;
+  stopPuzzle();
+  puzzleState.step = Array.prototype.indexOf.call(row.parentNode.children, row);
+  renderPuzzle();
 });
 
 // ==========================================
-// データエクスポート機能
+// 検証タブ - シーケンス検証（ユーザー提供のコード表）
 // ==========================================
 
+const MAX_VALIDATE_ROWS = 4096; // 検証する最大行数（DoS対策）
+const MAX_VALIDATE_BITS = 24;   // 検証する最大ビット幅
+
 /**
- * 現在の状態をJSONとしてエクスポート
- * @returns {string} JSON形式の文字列
+ * 検証する符号語の読み込み
+ * 各行の値は変換タブと同じ parseConvertInput で解釈し、ビット幅を自動にした場合は最も長い符号語に合わせる。
+ * 基数が自動判定なら、接頭辞のない行から列全体で1つの基数に決めてから解釈する（detectColumnBase）
+ * @param {string[][]} rows - parseCsvの結果
+ * @param {{column: number, header: boolean, base: string, width: number}} options - 読み込み設定
+ * @returns {{entries: Array<{index: number, input: string, value?: number, error?: string}>,
+ *   width: number, total: number, base: number|string, detected: boolean}}
  */
-function exportData() {
-  const data = {
-    bits: n,
-    currentValue: val,
-    graySequence: []
-  };
+function parseValidatorRows(rows, options) {
+  const { column = 0, header = false, width = 0 } = options;
+  const body = header ? rows.slice(1) : rows;
+  const inputs = body.slice(0, MAX_VALIDATE_ROWS).map(row => row[column] ?? '');
+  const detected = options.base === undefined || options.base === 'auto';
+  const base = detected ? detectColumnBase(inputs) : options.base;
+  const parsed = inputs.map((input, index) => ({
+    index,
+    input,
+    ...parseConvertInput(input, detected ? columnRowBase(input, base) : base, width)
+  }));
+
+  const widest = parsed.reduce((m, p) => (p.error ? m : Math.max(m, p.width)), 1);
+  const entries = parsed.map(p => {
+    if (p.error) return { index: p.index, input: p.input, error: p.error };
+    if (p.width > MAX_VALIDATE_BITS) {
+      return { index: p.index, input: p.input, error: `${MAX_VALIDATE_BITS}ビットを超えています` };
+    }
+    return { index: p.index, input: p.input, value: Number(p.value) };
+  });
+  return { entries, width: Math.min(width || widest, MAX_VALIDATE_BITS), total: body.length, base, detected };
+}
 
-  // 全ての値のシーケンスを生成
-  for (let i = 0; i < (1 << n); i++) {
-    data.graySequence.push({
-      decimal: i,
-      binary: pad(i, n),
-      gray: pad(binToGray(i), n)
+/**
+ * 反射グレイコード（binToGray の列）と同型かどうかの判定
+ * codes[j] = π(binToGray((j + r) mod L)) ⊕ mask となるビット置換 π・反転マスク・回転 r を探す。
+ * 反射コードの j 番目の遷移で変化するビットは j の末尾の0の個数（末尾→先頭は最上位ビット）なので、
+ * 各回転について「反射コードで変化するビット → 実際に変化したビット」の対応が一貫しているかを調べる
+ * @param {number[]} codes - 符号語の列
+ * @param {number} bits - ビット幅
+ * @returns {{ok: boolean, reason?: string, rotation?: number, perm?: number[], mask?: number}}
+ *   perm[k] は反射コードのビット k が移る先のビット位置
+ */
+function matchReflectedCode(codes, bits) {
+  const len = codes.length;
+  if (len !== 2 ** bits) return { ok: false, reason: `行数 ${len} が 2^${bits} = ${2 ** bits} ではありません` };
+
+  // 実際に変化したビット（循環で全て1ビット変化であることが前提）
+  const flips = [];
+  for (let j = 0; j < len; j++) {
+    const x = codes[(j - 1 + len) % len] ^ codes[j];
+    if (hdist(x, 0) !== 1) return { ok: false, reason: '循環を含めて全ての遷移が1ビット変化ではありません' };
+    flips.push(31 - Math.clz32(x));
+  }
+
+  const reflectedFlip = (k) => (k === 0 ? bits - 1 : 31 - Math.clz32(k & -k));
+  for (let r = 0; r < len; r++) {
+    const perm = new Array(bits).fill(-1);
+    const used = new Array(bits).fill(false);
+    let consistent = true;
+    for (let j = 0; j < len && consistent; j++) {
+      const from = reflectedFlip((j + r) % len);
+      const to = flips[j];
+      if (perm[from] === -1 && !used[to]) {
+        perm[from] = to;
+        used[to] = true;
+      } else if (perm[from] !== to) {
+        consistent = false;
+      }
+    }
+    if (!consistent) continue;
+
+    const permute = (g) => perm.reduce((acc, to, from) => acc | (((g >> from) & 1) << to), 0);
+    const mask = codes[0] ^ permute(binToGray(r));
+    if (codes.every((c, j) => c === (permute(binToGray((j + r) % len)) ^ mask))) {
+      return { ok: true, rotation: r, perm, mask };
+    }
+  }
+  return { ok: false, reason: 'ビットの並べ替え・反転・回転のどれを組み合わせても一致しません' };
+}
+
+/**
+ * 検証結果の表示
+ * 解釈できない行・重複・1ビット変化でない行を tr.error で強調する
+ */
+function runValidator() {
+  const rows = parseCsv($('valIn').value);
+  const widthVal = readClampedInt('valWidth', 0, MAX_VALIDATE_BITS, 0);
+  const { entries, width, total, base, detected } = parseValidatorRows(rows, {
+    column: parseInt($('valColumn').value, 10) || 0,
+    header: $('valHeader').checked,
+    base: $('valBase').value,
+    width: widthVal
+  });
+  const cyclic = $('valCyclic').checked;
+
+  const valid = entries.filter(e => !e.error);
+  const codes = valid.map(e => e.value);
+  const check = checkCodeSequence(codes, cyclic);
+  const counts = new Map();
+  codes.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+
+  // 行ごとの判定
+  const tbody = $('valTbl').querySelector('tbody');
+  tbody.innerHTML = '';
+  let pos = 0;
+  entries.forEach(e => {
+    const tr = document.createElement('tr');
+    let cells;
+    if (e.error) {
+      tr.className = 'error';
+      cells = [e.index + 1, e.input, '—', '—', e.error];
+    } else {
+      const d = check.steps[pos];
+      const problems = [];
+      if (counts.get(e.value) > 1) problems.push('重複');
+      if (d !== null && d !== 1) problems.push(pos === 0 ? `末尾から${d}ビット変化` : `${d}ビット変化`);
+      if (problems.length) tr.className = 'error';
+      cells = [e.index + 1, e.input, pad(e.value, width), d ?? '-', problems.length ? problems.join('・') : '✓'];
+      pos++;
+    }
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = String(text);
+      tr.appendChild(td);
     });
+    tbody.appendChild(tr);
+  });
+
+  // ビットごとの遷移回数（上位ビットから）
+  const bitBody = $('valBitTbl').querySelector('tbody');
+  bitBody.innerHTML = '';
+  const stats = codes.length > 1 ? sequenceStats(codes, width, cyclic) : null;
+  if (stats) {
+    for (let b = width - 1; b >= 0; b--) {
+      const tr = document.createElement('tr');
+      if (stats.transitions[b] === 0) tr.className = 'warn';
+      [`b${b}`, stats.transitions[b], stats.maxRun[b]].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = String(text);
+        tr.appendChild(td);
+      });
+      bitBody.appendChild(tr);
+    }
+  }
+
+  // 判定カード
+  const mark = (ok) => (ok ? '✓' : '✗');
+  const adjacentBad = check.violations.filter(i => i > 0).length;
+  const wrapOk = codes.length > 1 && check.steps[0] === 1;
+  $('valUnique').textContent = mark(check.unique);
+  $('valAdjacent').textContent = adjacentBad ? `✗（${adjacentBad}箇所）` : '✓';
+  $('valWrap').textContent = cyclic ? mark(wrapOk) : `対象外（距離 ${codes.length > 1 ? hdist(codes[codes.length - 1], codes[0]) : '-'}）`;
+
+  const match = codes.length > 1 ? matchReflectedCode(codes, width) : { ok: false, reason: '2行以上必要です' };
+  $('valReflected').textContent = mark(match.ok);
+  if (match.ok) {
+    const columns = [];
+    for (let p = width - 1; p >= 0; p--) columns.push(`g${match.perm.indexOf(p)}`);
+    $('valReflectedInfo').textContent =
+      `1行目 = binToGray(${match.rotation}) / 列の並び（上位から）: ${columns.join(' ')} / 反転マスク: ${pad(match.mask, width)}`;
+  } else {
+    $('valReflectedInfo').textContent = `反射コードと同型ではありません: ${match.reason}`;
   }
 
-  return JSON.stringify(data, null, 2);
+  const errors = entries.length - valid.length;
+  const truncated = total > MAX_VALIDATE_ROWS ? `（上限${MAX_VALIDATE_ROWS}行まで検証）` : '';
+  const spread = stats ? ` / 遷移回数の差 ${stats.spread}` : '';
+  $('valSummary').textContent =
+    `${entries.length}行・${width}ビット（${describeColumnBase(base, detected)}） / 解釈できない行 ${errors} / 距離が1でない遷移 ${check.violations.length}${spread}${truncated}`;
+  $('valSummary').classList.toggle('error-text', !(check.ok && errors === 0));
 }
 
+// ==========================================
+// 検証タブ - イベントリスナー
+// ==========================================
+
+$('valRun').addEventListener('click', runValidator);
+['valColumn', 'valBase', 'valWidth', 'valCyclic'].forEach(id => $(id).addEventListener('change', runValidator));
+
+$('valIn').addEventListener('input', () => updateCsvColumns('valIn', 'valHeader', 'valColumn'));
+$('valHeader').addEventListener('change', () => {
+  updateCsvColumns('valIn', 'valHeader', 'valColumn');
+  runValidator();
+});
+
+// コード表ファイルの読み込み（ローカルのみ、サーバー送信なし）
+$('valFile').addEventListener('change', e => {
+  const file = e.target.files[0];
+  if (!file) return;
+  if (file.size > MAX_BATCH_FILE_SIZE) {
+    $('valSummary').textContent = `ファイルが大きすぎます（上限${MAX_BATCH_FILE_SIZE / 1024 / 1024}MB）`;
+    e.target.value = '';
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    $('valIn').value = String(reader.result);
+    updateCsvColumns('valIn', 'valHeader', 'valColumn');
+    runValidator();
+  };
+  reader.onerror = () => {
+    console.warn('Failed to read code table:', reader.error);
+    $('valSummary').textContent = 'ファイルを読み込めませんでした';
+  };
+  reader.readAsText(file);
+});
+
 // ==========================================
 // アコーディオン機能
 // ==========================================
@@ -866,17 +7485,11 @@ document.addEventListener('DOMContentLoaded', () => {
  * デフォルト値を使用して計算過程を表示
  */
 function initializeConversionExamples() {
-  // デフォルト値での Binary → Gray 変換例
-  const defaultBinary = "1010";
-  const binaryToGraySteps = generateBinaryToGraySteps(defaultBinary);
-  displaySteps(binaryToGraySteps, 'binaryToGraySteps');
-  $('grayOut2').textContent = convert(defaultBinary, true);
-
-  // デフォルト値での Gray → Binary 変換例
-  const defaultGray = "1111";
-  const grayToBinarySteps = generateGrayToBinarySteps(defaultGray);
-  displaySteps(grayToBinarySteps, 'grayToBinarySteps');
-  $('binOut2').textContent = convert(defaultGray, false);
+  // デフォルト値（1010 / 1111）での変換例
+  runConvertBox(true);
+  runConvertBox(false);
+  runNaryConvert();
+  runGrayArith();
 }
 
 /**
@@ -929,6 +7542,7 @@ function init() {
   // 基本タブの初期化
   syncBasicsBounds();
   renderBasics();
+  resetConstruction();
 
   // エンコーダーディスクの初期化
   renderDiscAll();
@@ -943,6 +7557,35 @@ function init() {
   // 変換タブの初期例表示
   initializeConversionExamples();
 
+  // HDLタブの初期プレビュー
+  renderHdl();
+
+  // FIFOシミュレーターの初期化
+  resetFifo();
+
+  // Kマップタブの初期化
+  renderKmap();
+
+  // 電力解析タブの初期化
+  renderPower();
+
+  // QAMタブの初期化（コンスタレーションとBER）
+  renderQam();
+
+  // GAタブの初期化
+  renderGa();
+
+  // ビットプレーンタブの初期化（サンプル画像）
+  $('bpMaxSize').textContent = BITPLANE_MAX_SIZE;
+  $('bpSample').click();
+
+  // パズルタブの初期化
+  resetPuzzle();
+
+  // 検証タブの初期化（サンプルのコード表）
+  $('valMaxRows').textContent = MAX_VALIDATE_ROWS;
+  runValidator();
+
   // ライトモード切り替えボタンのイベントリスナー
   initializeThemeToggle();
 }